@@ -4,17 +4,27 @@ pragma solidity 0.8.19;
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import {Initializable} from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import {PriceCurve} from "./libraries/PriceCurve.sol";
+import {IUnit} from "./interfaces/IUnit.sol";
+import {IUniswapV2Router} from "./interfaces/IUniswapV2.sol";
+import {IAuctionFactory} from "./interfaces/IAuctionFactory.sol";
+import {ICore} from "./interfaces/ICore.sol";
 
 /**
  * @title Auction
  * @author heesho
  * @notice A Dutch auction contract for selling accumulated assets in exchange for LP tokens.
- *         The price decays linearly from initPrice to 0 over each epoch. When purchased,
- *         all accumulated assets are transferred to the buyer, LP tokens are burned,
- *         and a new auction begins with a price based on the previous sale.
+ *         The price decays from initPrice along a configurable curve over each epoch. When purchased,
+ *         all accumulated assets are transferred to the buyer, the LP payment is burned, sent to a
+ *         treasury, or unwound to buy back and burn Unit (depending on paymentMode),
+ *         and a new auction begins with a price based on the previous sale. An optional reserve
+ *         price holds the price above a minimum, and expired epochs can optionally restart at minInitPrice.
  * @dev Forked and modified from Euler Fee Flow.
+ *      Buying is disabled while Core's guardian has the auction's rig paused, and the price runs on a
+ *      clock that excludes paused time (see _getClock), so it stands still during a pause.
  */
-contract Auction is ReentrancyGuard {
+contract Auction is ReentrancyGuard, Initializable {
     using SafeERC20 for IERC20;
 
     /*----------  CONSTANTS  --------------------------------------------*/
@@ -26,20 +36,47 @@ contract Auction is ReentrancyGuard {
     uint256 public constant ABS_MIN_INIT_PRICE = 1e6;
     uint256 public constant ABS_MAX_INIT_PRICE = type(uint192).max;
     uint256 public constant PRICE_MULTIPLIER_SCALE = 1e18;
+    uint256 public constant MIN_PRICE_HALF_LIFE = 1 minutes;
 
-    /*----------  IMMUTABLES  -------------------------------------------*/
+    /*----------  CONFIGURATION  ----------------------------------------*/
 
-    address public immutable paymentToken; // LP token used for payment
-    address public immutable paymentReceiver; // receives payment (burn address)
-    uint256 public immutable epochPeriod; // duration of each Dutch auction
-    uint256 public immutable priceMultiplier; // multiplier for next epoch's starting price
-    uint256 public immutable minInitPrice; // minimum starting price per epoch
+    address public paymentToken; // LP token used for payment
+    address public paymentReceiver; // receives payment (burn address, treasury, or Buyback DONUT recipient)
+    PaymentMode public paymentMode; // how LP payments are handled
+    address public router; // Uniswap V2 router used to unwind LP (Buyback mode)
+    address public unit; // Unit token burned from unwound LP (Buyback mode)
+    address public donut; // DONUT token sent to paymentReceiver from unwound LP (Buyback mode)
+    address public core; // Core contract consulted for guardian pauses (address(0) = never paused)
+    uint256 public epochPeriod; // duration of each Dutch auction
+    uint256 public priceMultiplier; // multiplier for next epoch's starting price
+    uint256 public minInitPrice; // minimum starting price per epoch
+    PriceCurve.Curve public priceCurve; // Dutch auction price curve type
+    uint256 public priceHalfLife; // time for the price to halve (Exponential curve)
+    uint256 public priceFloor; // lowest price reached during an epoch (Exponential/LinearToFloor curves)
+    bool public priceFloorIsReserve; // whether priceFloor still applies after the epoch expires
+    uint256 public reservePrice; // price never drops below this (0 = no reserve)
+    bool public restartOnExpiry; // whether an unsold expired epoch restarts at minInitPrice
 
     /*----------  STATE  ------------------------------------------------*/
 
     uint256 public epochId; // current epoch counter
     uint256 public initPrice; // starting price for current epoch
     uint256 public startTime; // timestamp when current epoch began
+    uint256 public startClock; // auction clock (timestamp minus paused time) when current epoch began
+
+    /*----------  TYPES  ------------------------------------------------*/
+
+    /**
+     * @notice Supported handling of LP payments.
+     * @dev Burn: LP is sent to paymentReceiver (the burn address).
+     *      Treasury: LP is sent to paymentReceiver (a launcher-chosen treasury).
+     *      Buyback: LP is removed from the pool, the Unit half is burned and the DONUT half is sent to paymentReceiver.
+     */
+    enum PaymentMode {
+        Burn,
+        Treasury,
+        Buyback
+    }
 
     /*----------  ERRORS  -----------------------------------------------*/
 
@@ -57,49 +94,89 @@ contract Auction is ReentrancyGuard {
     error Auction__PriceMultiplierExceedsMax();
     error Auction__MinInitPriceBelowMin();
     error Auction__MinInitPriceExceedsAbsMaxInitPrice();
+    error Auction__InvalidPriceCurve();
+    error Auction__InvalidPriceHalfLife();
+    error Auction__InvalidPriceFloor();
+    error Auction__ReservePriceExceedsMinInitPrice();
+    error Auction__RestartDisabled();
+    error Auction__EpochNotExpired();
+    error Auction__InvalidPaymentMode();
+    error Auction__InvalidBuybackConfig();
+    error Auction__Paused();
 
     /*----------  EVENTS  -----------------------------------------------*/
 
     event Auction__Buy(address indexed buyer, address indexed assetsReceiver, uint256 paymentAmount);
+    event Auction__Restarted(uint256 indexed epochId, uint256 initPrice, uint256 startTime);
+    event Auction__BoughtAtReserve(uint256 indexed epochId, uint256 reservePrice);
+    event Auction__Buyback(uint256 indexed epochId, uint256 lpAmount, uint256 unitBurned, uint256 donutAmount);
 
     /*----------  CONSTRUCTOR  ------------------------------------------*/
 
     /**
-     * @notice Deploy a new Auction contract.
-     * @param _initPrice Starting price for the first epoch
-     * @param _paymentToken LP token address used for payments
-     * @param _paymentReceiver Address to receive payments (typically burn address)
-     * @param _epochPeriod Duration of each auction epoch
-     * @param _priceMultiplier Price multiplier for calculating next epoch's starting price
-     * @param _minInitPrice Minimum allowed starting price
+     * @notice Deploy the Auction implementation cloned by AuctionFactory.
+     * @dev Initializers are disabled on the implementation itself.
+     */
+    constructor() {
+        _disableInitializers();
+    }
+
+    /*----------  INITIALIZER  ------------------------------------------*/
+
+    /**
+     * @notice Initialize an Auction clone.
+     * @dev Called once by AuctionFactory right after cloning.
+     * @param p Auction parameters (see IAuctionFactory.AuctionParams)
      */
-    constructor(
-        uint256 _initPrice,
-        address _paymentToken,
-        address _paymentReceiver,
-        uint256 _epochPeriod,
-        uint256 _priceMultiplier,
-        uint256 _minInitPrice
-    ) {
-        if (_paymentToken == address(0)) revert Auction__InvalidPaymentToken();
-        if (_paymentReceiver == address(0)) revert Auction__InvalidPaymentReceiver();
-        if (_initPrice < _minInitPrice) revert Auction__InitPriceBelowMin();
-        if (_initPrice > ABS_MAX_INIT_PRICE) revert Auction__InitPriceExceedsMax();
-        if (_epochPeriod < MIN_EPOCH_PERIOD) revert Auction__EpochPeriodBelowMin();
-        if (_epochPeriod > MAX_EPOCH_PERIOD) revert Auction__EpochPeriodExceedsMax();
-        if (_priceMultiplier < MIN_PRICE_MULTIPLIER) revert Auction__PriceMultiplierBelowMin();
-        if (_priceMultiplier > MAX_PRICE_MULTIPLIER) revert Auction__PriceMultiplierExceedsMax();
-        if (_minInitPrice < ABS_MIN_INIT_PRICE) revert Auction__MinInitPriceBelowMin();
-        if (_minInitPrice > ABS_MAX_INIT_PRICE) revert Auction__MinInitPriceExceedsAbsMaxInitPrice();
-
-        initPrice = _initPrice;
+    function initialize(IAuctionFactory.AuctionParams calldata p) external initializer {
+        if (p.paymentToken == address(0)) revert Auction__InvalidPaymentToken();
+        if (p.paymentReceiver == address(0)) revert Auction__InvalidPaymentReceiver();
+        if (p.initPrice < p.minInitPrice) revert Auction__InitPriceBelowMin();
+        if (p.initPrice > ABS_MAX_INIT_PRICE) revert Auction__InitPriceExceedsMax();
+        if (p.epochPeriod < MIN_EPOCH_PERIOD) revert Auction__EpochPeriodBelowMin();
+        if (p.epochPeriod > MAX_EPOCH_PERIOD) revert Auction__EpochPeriodExceedsMax();
+        if (p.priceMultiplier < MIN_PRICE_MULTIPLIER) revert Auction__PriceMultiplierBelowMin();
+        if (p.priceMultiplier > MAX_PRICE_MULTIPLIER) revert Auction__PriceMultiplierExceedsMax();
+        if (p.minInitPrice < ABS_MIN_INIT_PRICE) revert Auction__MinInitPriceBelowMin();
+        if (p.minInitPrice > ABS_MAX_INIT_PRICE) revert Auction__MinInitPriceExceedsAbsMaxInitPrice();
+        if (p.priceCurve > uint8(PriceCurve.Curve.LinearToFloor)) revert Auction__InvalidPriceCurve();
+        if (p.priceCurve == uint8(PriceCurve.Curve.Exponential)) {
+            if (p.priceHalfLife < MIN_PRICE_HALF_LIFE || p.priceHalfLife > p.epochPeriod) {
+                revert Auction__InvalidPriceHalfLife();
+            }
+        }
+        if (p.priceCurve != uint8(PriceCurve.Curve.Linear) && p.priceFloor > p.minInitPrice) {
+            revert Auction__InvalidPriceFloor();
+        }
+        if (p.reservePrice > p.minInitPrice) revert Auction__ReservePriceExceedsMinInitPrice();
+        if (p.paymentMode > uint8(PaymentMode.Buyback)) revert Auction__InvalidPaymentMode();
+        if (
+            p.paymentMode == uint8(PaymentMode.Buyback)
+                && (p.router == address(0) || p.unit == address(0) || p.donut == address(0))
+        ) {
+            revert Auction__InvalidBuybackConfig();
+        }
+
+        initPrice = p.initPrice;
         startTime = block.timestamp;
 
-        paymentToken = _paymentToken;
-        paymentReceiver = _paymentReceiver;
-        epochPeriod = _epochPeriod;
-        priceMultiplier = _priceMultiplier;
-        minInitPrice = _minInitPrice;
+        paymentToken = p.paymentToken;
+        paymentReceiver = p.paymentReceiver;
+        epochPeriod = p.epochPeriod;
+        priceMultiplier = p.priceMultiplier;
+        minInitPrice = p.minInitPrice;
+        priceCurve = PriceCurve.Curve(p.priceCurve);
+        priceHalfLife = p.priceHalfLife;
+        priceFloor = p.priceFloor;
+        priceFloorIsReserve = p.priceFloorIsReserve;
+        reservePrice = p.reservePrice;
+        restartOnExpiry = p.restartOnExpiry;
+        paymentMode = PaymentMode(p.paymentMode);
+        router = p.router;
+        unit = p.unit;
+        donut = p.donut;
+        core = p.core;
+        startClock = _getClock();
     }
 
     /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
@@ -109,7 +186,7 @@ contract Auction is ReentrancyGuard {
      * @dev Transfers all balances of specified assets to the receiver.
      * @param assets Array of token addresses to claim from this contract
      * @param assetsReceiver Address to receive the claimed assets
-     * @param _epochId Expected epoch ID (reverts if mismatched for frontrun protection)
+     * @param _epochId Expected epoch ID after any pending restart (see getEpochId), reverts if mismatched
      * @param deadline Transaction deadline timestamp
      * @param maxPaymentTokenAmount Maximum LP tokens willing to pay (slippage protection)
      * @return paymentAmount Actual amount of LP tokens paid
@@ -123,14 +200,24 @@ contract Auction is ReentrancyGuard {
     ) external nonReentrant returns (uint256 paymentAmount) {
         if (block.timestamp > deadline) revert Auction__DeadlinePassed();
         if (assets.length == 0) revert Auction__EmptyAssets();
+        if (core != address(0) && ICore(core).isPaused(address(this))) revert Auction__Paused();
+
+        // Apply a pending restart first so a buy signed against the expired epoch no longer matches
+        uint256 clock = _getClock();
+        if (restartOnExpiry && clock - startClock > epochPeriod) _restart(clock);
         if (_epochId != epochId) revert Auction__EpochIdMismatch();
 
-        paymentAmount = getPrice();
+        paymentAmount = _getPrice(clock);
         if (paymentAmount > maxPaymentTokenAmount) revert Auction__MaxPaymentAmountExceeded();
+        if (reservePrice != 0 && paymentAmount == reservePrice) emit Auction__BoughtAtReserve(epochId, reservePrice);
 
-        // Transfer LP tokens to receiver (burn address)
+        // Transfer LP tokens to receiver (burn address or treasury), or unwind them for a buyback
         if (paymentAmount > 0) {
-            IERC20(paymentToken).safeTransferFrom(msg.sender, paymentReceiver, paymentAmount);
+            if (paymentMode == PaymentMode.Buyback) {
+                _buyback(paymentAmount);
+            } else {
+                IERC20(paymentToken).safeTransferFrom(msg.sender, paymentReceiver, paymentAmount);
+            }
         }
 
         // Transfer all accumulated assets to buyer
@@ -153,21 +240,104 @@ contract Auction is ReentrancyGuard {
         }
         initPrice = newInitPrice;
         startTime = block.timestamp;
+        startClock = clock;
 
         emit Auction__Buy(msg.sender, assetsReceiver, paymentAmount);
 
         return paymentAmount;
     }
 
+    /**
+     * @notice Restart an epoch that expired unsold at minInitPrice.
+     * @dev Callable by anyone (e.g. keepers). buy() applies the same restart automatically.
+     *      Advances epochId once per elapsed epochPeriod.
+     */
+    function restart() external nonReentrant {
+        if (!restartOnExpiry) revert Auction__RestartDisabled();
+        uint256 clock = _getClock();
+        if (clock - startClock <= epochPeriod) revert Auction__EpochNotExpired();
+        _restart(clock);
+    }
+
     /*----------  VIEW FUNCTIONS  ---------------------------------------*/
 
     /**
      * @notice Get the current Dutch auction price.
-     * @return Current price (linearly decays from initPrice to 0 over epochPeriod)
+     * @dev Accounts for a pending restart of an expired epoch.
+     * @return Current price (decays from initPrice along priceCurve, never below reservePrice)
+     */
+    function getPrice() external view returns (uint256) {
+        return _getPrice(_getClock());
+    }
+
+    /**
+     * @notice Get the epoch ID a buy must pass right now.
+     * @dev Includes pending restarts, so it can be ahead of epochId until restart() or buy() applies them.
+     * @return Current epoch ID
+     */
+    function getEpochId() external view returns (uint256) {
+        (,, uint256 restarts) = _getCurrentEpoch(_getClock());
+        return epochId + restarts;
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @dev Pull LP from the buyer, remove it from the pool, burn the Unit half and send the DONUT half
+     *      to paymentReceiver. Uses the returned amounts so unrelated Unit/DONUT held for sale is untouched.
+     */
+    function _buyback(uint256 lpAmount) internal {
+        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), lpAmount);
+        IERC20(paymentToken).safeApprove(router, lpAmount);
+        (uint256 unitAmount, uint256 donutAmount) = IUniswapV2Router(router).removeLiquidity(
+            unit, donut, lpAmount, 0, 0, address(this), block.timestamp
+        );
+
+        IUnit(unit).burn(unitAmount);
+        IERC20(donut).safeTransfer(paymentReceiver, donutAmount);
+
+        emit Auction__Buyback(epochId, lpAmount, unitAmount, donutAmount);
+    }
+
+    /**
+     * @dev Move an expired epoch onto its restarted init price and start time, advancing epochId once per restart.
+     */
+    function _restart(uint256 clock) internal {
+        uint256 timePassed;
+        uint256 restarts;
+        (initPrice, timePassed, restarts) = _getCurrentEpoch(clock);
+        epochId += restarts;
+        startTime = block.timestamp - timePassed;
+        startClock = clock - timePassed;
+        emit Auction__Restarted(epochId, initPrice, startTime);
+    }
+
+    /**
+     * @dev Get the auction clock: the timestamp minus the time Core's guardian has kept this auction paused.
+     */
+    function _getClock() internal view returns (uint256) {
+        if (core == address(0)) return block.timestamp;
+        return block.timestamp - ICore(core).getPausedTime(address(this), block.timestamp);
+    }
+
+    /**
+     * @dev Calculate the Dutch auction price at a given auction clock, accounting for a pending restart.
+     */
+    function _getPrice(uint256 clock) internal view returns (uint256) {
+        (uint256 _initPrice, uint256 timePassed,) = _getCurrentEpoch(clock);
+        uint256 price = PriceCurve.getPrice(
+            priceCurve, _initPrice, timePassed, epochPeriod, priceHalfLife, priceFloor, priceFloorIsReserve
+        );
+        return price < reservePrice ? reservePrice : price;
+    }
+
+    /**
+     * @dev Get the effective init price, time passed in the epoch and number of pending restarts, restarting
+     *      at minInitPrice once per elapsed epochPeriod if the current epoch expired unsold and restarts are enabled.
      */
-    function getPrice() public view returns (uint256) {
-        uint256 timePassed = block.timestamp - startTime;
-        if (timePassed > epochPeriod) return 0;
-        return initPrice - initPrice * timePassed / epochPeriod;
+    function _getCurrentEpoch(uint256 clock) internal view returns (uint256, uint256, uint256) {
+        uint256 timePassed = clock - startClock;
+        if (!restartOnExpiry || timePassed <= epochPeriod) return (initPrice, timePassed, 0);
+        return (minInitPrice, timePassed % epochPeriod, timePassed / epochPeriod);
     }
 }
@@ -1,35 +1,47 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
+import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
 import {Auction} from "./Auction.sol";
+import {IAuctionFactory} from "./interfaces/IAuctionFactory.sol";
 
 /**
  * @title AuctionFactory
  * @author heesho
  * @notice Factory contract for deploying new Auction instances.
  * @dev Called by Core during the launch process to create new Auction contracts.
+ *      Auctions are EIP-1167 minimal proxy clones of a single implementation, deployed with CREATE2
+ *      so the address depends only on the caller and salt.
  */
 contract AuctionFactory {
+    address public immutable implementation; // Auction implementation cloned for each launch
+
+    /**
+     * @notice Deploy the factory and its Auction implementation.
+     */
+    constructor() {
+        implementation = address(new Auction());
+    }
+
     /**
-     * @notice Deploy a new Auction contract.
-     * @param _initPrice Starting price for the first epoch
-     * @param _paymentToken LP token address used for payments
-     * @param _paymentReceiver Address to receive payments (typically burn address)
-     * @param _epochPeriod Duration of each auction epoch
-     * @param _priceMultiplier Price multiplier for next epoch
-     * @param _minInitPrice Minimum allowed starting price
+     * @notice Deploy a new Auction clone.
+     * @param _salt Salt for the CREATE2 deployment (combined with msg.sender)
+     * @param _params Auction parameters
      * @return Address of the newly deployed Auction
      */
-    function deploy(
-        uint256 _initPrice,
-        address _paymentToken,
-        address _paymentReceiver,
-        uint256 _epochPeriod,
-        uint256 _priceMultiplier,
-        uint256 _minInitPrice
-    ) external returns (address) {
-        return address(
-            new Auction(_initPrice, _paymentToken, _paymentReceiver, _epochPeriod, _priceMultiplier, _minInitPrice)
-        );
+    function deploy(bytes32 _salt, IAuctionFactory.AuctionParams calldata _params) external returns (address) {
+        address auction = Clones.cloneDeterministic(implementation, keccak256(abi.encode(msg.sender, _salt)));
+        Auction(auction).initialize(_params);
+        return auction;
+    }
+
+    /**
+     * @notice Predict the address of an Auction deployed by a caller with a given salt.
+     * @param _deployer Address that will call deploy (e.g. Core)
+     * @param _salt Salt that will be passed to deploy
+     * @return Predicted Auction address
+     */
+    function predictAddress(address _deployer, bytes32 _salt) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, keccak256(abi.encode(_deployer, _salt)));
     }
 }
@@ -3,14 +3,14 @@ pragma solidity 0.8.19;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Ownable2Step} from "@openzeppelin/contracts/access/Ownable2Step.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import {IRig} from "./interfaces/IRig.sol";
 import {IUnit} from "./interfaces/IUnit.sol";
 import {IUnitFactory} from "./interfaces/IUnitFactory.sol";
 import {IRigFactory} from "./interfaces/IRigFactory.sol";
 import {IAuctionFactory} from "./interfaces/IAuctionFactory.sol";
 import {IUniswapV2Factory, IUniswapV2Router} from "./interfaces/IUniswapV2.sol";
+import {UriScheme} from "./libraries/UriScheme.sol";
 
 /**
  * @title Core
@@ -24,18 +24,31 @@ import {IUniswapV2Factory, IUniswapV2Router} from "./interfaces/IUniswapV2.sol";
  *         5. Deploys an Auction contract to collect and auction treasury fees
  *         6. Deploys a new Rig contract via RigFactory
  *         7. Transfers Unit minting rights to the Rig (permanently locked)
- *         8. Transfers ownership of the Rig to the launcher
+ *         8. Makes the launcher the owner of the Rig
+ * @dev Ownership transfers are two-step (the new owner must accept) and renouncing requires
+ *      scheduling it RENOUNCE_DELAY in advance.
+ *      A guardian can pause mining and auction buys for one rig or for all rigs. Pauses end
+ *      automatically after MAX_PAUSE_DURATION and are followed by a PAUSE_COOLDOWN in which the
+ *      same target cannot be paused again. Rigs and Auctions exclude paused time (see getPausedTime) from
+ *      their Dutch auction clocks.
+ *      The owner bounds the byte length of rig and epoch URIs and can optionally restrict them to
+ *      ipfs://, ar:// and https:// (see getUriRules). Empty URIs are always allowed.
+ *      A moderator, alongside each rig's owner, can flag a rig's current epoch URI as hidden.
  */
-contract Core is Ownable, ReentrancyGuard {
+contract Core is Ownable2Step, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     /*----------  CONSTANTS  --------------------------------------------*/
 
     address public constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+    uint256 public constant FEE_DIVISOR = 10_000; // fee divisor (basis points)
+    uint256 public constant RENOUNCE_DELAY = 7 days; // time between scheduling and executing renounceOwnership
+    uint256 public constant MAX_PAUSE_DURATION = 3 days; // guardian pauses end automatically after this long
+    uint256 public constant PAUSE_COOLDOWN = 1 days; // time after a pause ends before its scope can be paused again
 
     /*----------  IMMUTABLES  -------------------------------------------*/
 
-    address public immutable weth; // WETH token (quote token for all rigs)
+    address public immutable weth; // WETH token (default quote token)
     address public immutable donutToken; // token required to launch
     address public immutable uniswapV2Factory; // Uniswap V2 factory
     address public immutable uniswapV2Router; // Uniswap V2 router
@@ -47,6 +60,16 @@ contract Core is Ownable, ReentrancyGuard {
 
     address public protocolFeeAddress; // receives protocol fees from rigs
     uint256 public minDonutForLaunch; // minimum DONUT required to launch
+    uint256 public minProtocolFee = 100; // floor on rig protocol fee (basis points)
+    uint256 public maxTeamFee = 1_000; // ceiling on rig team fee (basis points)
+    address public launchFeeToken; // launch fee currency: donutToken, or address(0) for native ETH
+    uint256 public launchFee; // fee charged per launch and sent to protocolFeeAddress (0 = no fee)
+    uint256 public renounceUnlockTime; // earliest renounceOwnership timestamp (0 = not scheduled)
+    address public guardian; // can pause rigs and auctions (address(0) = no guardian)
+    address public moderator; // can hide the current epoch URI of any rig (address(0) = no moderator)
+    address public multicall; // may launch on behalf of params.launcher (address(0) = none)
+    uint256 public maxUriLength = 256; // max byte length of rig and epoch URIs
+    bool public restrictUriSchemes; // whether non-empty URIs must use an allowed scheme (see UriScheme)
 
     address[] public deployedRigs; // array of all deployed rigs
     mapping(address => bool) public isDeployedRig; // rig => is valid
@@ -54,39 +77,110 @@ contract Core is Ownable, ReentrancyGuard {
     mapping(address => address) public rigToUnit; // rig => Unit token
     mapping(address => address) public rigToAuction; // rig => Auction contract
     mapping(address => address) public rigToLP; // rig => LP token
+    mapping(address => address) public unitToRig; // Unit token => rig
+    mapping(address => address) public auctionToRig; // Auction contract => rig
+    mapping(address => address) public lpToRig; // LP token => rig
+    mapping(address => address[]) internal launcherToRigs; // launcher => rigs launched
+    mapping(address => uint256) public launchNonces; // launcher => launches so far (CREATE2 salt input)
+    mapping(address => bool) public isQuoteToken; // token => allowed as rig quote
+    mapping(address => Pause) public rigPauses; // rig => latest rig-level pause
+    Pause[] internal globalPauses; // pauses of all rigs, oldest first
 
     /*----------  STRUCTS  ----------------------------------------------*/
 
+    /**
+     * @notice Registry record for a launched Rig.
+     */
+    struct RigRecord {
+        address rig; // Rig contract
+        address unit; // Unit token
+        address auction; // Auction contract
+        address lpToken; // Unit/DONUT LP token
+        address launcher; // launcher address
+    }
+
+    /**
+     * @notice A guardian pause of one rig or of all rigs.
+     */
+    struct Pause {
+        uint256 start; // pause timestamp
+        uint256 end; // automatic unpause timestamp, or the earlier manual unpause
+        uint256 pausedBefore; // paused time from earlier pauses of the same scope (rig pauses exclude global overlap)
+    }
+
     /**
      * @notice Parameters for launching a new Rig.
      */
     struct LaunchParams {
         address launcher; // address to receive Rig ownership, team fees, and initial miner
+        bytes32 salt; // user-chosen salt for deterministic addresses (see predictAddresses)
+        address quoteToken; // payment token for mining (must be allowlisted)
         string tokenName; // Unit token name
         string tokenSymbol; // Unit token symbol
         string uri; // metadata URI for the unit token
         uint256 donutAmount; // DONUT to provide for LP
         uint256 unitAmount; // Unit tokens minted for initial LP
+        uint256 maxSupply; // cap on Unit total supply including unitAmount (0 = uncapped)
         uint256 initialUps; // starting units per second
         uint256 tailUps; // minimum units per second
         uint256 halvingPeriod; // time between halvings
+        uint8 emissionSchedule; // 0 = Halving, 1 = Linear, 2 = Step
+        uint256 decayPeriod; // linear decay duration (Linear schedule)
+        uint256[] emissionStepOffsets; // step offsets from rig start (Step schedule)
+        uint256[] emissionStepUps; // units per second for each step (Step schedule)
         uint256 rigEpochPeriod; // rig auction epoch duration
         uint256 rigPriceMultiplier; // rig price multiplier
         uint256 rigMinInitPrice; // rig minimum starting price
+        uint256 previousMinerFee; // rig payment share to previous miner (basis points)
+        uint256 teamFee; // rig payment share to team (basis points)
+        uint256 protocolFee; // rig payment share to protocol (basis points)
+        uint256 rigRevealWindow; // rig commit-reveal window (0 = direct mining)
+        uint256 rigCommitBond; // rig quote bond per commitment
+        uint8 rigPriceCurve; // rig price curve: 0 = Linear, 1 = Exponential, 2 = LinearToFloor
+        uint256 rigPriceHalfLife; // rig price half-life (Exponential curve)
+        uint256 rigPriceFloor; // rig floor price (Exponential/LinearToFloor curves)
+        bool rigPriceFloorIsReserve; // rig floor still applies after an epoch expires
+        uint256 rigAdminDelay; // rig delay between queueing and executing treasury/team changes
         uint256 auctionInitPrice; // auction starting price
         uint256 auctionEpochPeriod; // auction epoch duration
         uint256 auctionPriceMultiplier; // auction price multiplier
         uint256 auctionMinInitPrice; // auction minimum starting price
+        uint8 auctionPriceCurve; // auction price curve: 0 = Linear, 1 = Exponential, 2 = LinearToFloor
+        uint256 auctionPriceHalfLife; // auction price half-life (Exponential curve)
+        uint256 auctionPriceFloor; // auction floor price (Exponential/LinearToFloor curves)
+        bool auctionPriceFloorIsReserve; // auction floor still applies after an epoch expires
+        uint256 auctionReservePrice; // auction never prices below this (0 = no reserve)
+        bool auctionRestartOnExpiry; // unsold expired auction epochs restart at auctionMinInitPrice
+        uint8 auctionPaymentMode; // auction LP payment handling: 0 = Burn, 1 = Treasury, 2 = Buyback
+        address auctionPaymentReceiver; // receives auction LP payments (Treasury mode)
     }
 
     /*----------  ERRORS  -----------------------------------------------*/
 
     error Core__InsufficientDonut();
     error Core__InvalidLauncher();
+    error Core__NotLauncher();
     error Core__EmptyTokenName();
     error Core__EmptyTokenSymbol();
     error Core__InvalidUnitAmount();
     error Core__ZeroAddress();
+    error Core__InvalidQuoteToken();
+    error Core__ProtocolFeeBelowMin();
+    error Core__TeamFeeAboveMax();
+    error Core__InvalidFee();
+    error Core__InvalidLaunchFeeToken();
+    error Core__IncorrectLaunchFee();
+    error Core__LaunchFeeTransferFailed();
+    error Core__RenounceLocked();
+    error Core__RenounceNotScheduled();
+    error Core__NotGuardian();
+    error Core__InvalidRig();
+    error Core__AlreadyPaused();
+    error Core__PauseCooldown();
+    error Core__NotPaused();
+    error Core__UriTooLong();
+    error Core__InvalidUriScheme();
+    error Core__InvalidMaxUriLength();
 
     /*----------  EVENTS  -----------------------------------------------*/
 
@@ -96,30 +190,65 @@ contract Core is Ownable, ReentrancyGuard {
         address rig,
         address auction,
         address lpToken,
+        address quoteToken,
         string tokenName,
         string tokenSymbol,
         string uri,
         uint256 donutAmount,
         uint256 unitAmount,
+        uint256 maxSupply,
         uint256 initialUps,
         uint256 tailUps,
         uint256 halvingPeriod,
+        uint8 emissionSchedule,
+        uint256 decayPeriod,
         uint256 rigEpochPeriod,
         uint256 rigPriceMultiplier,
         uint256 rigMinInitPrice,
+        uint256 previousMinerFee,
+        uint256 teamFee,
+        uint256 protocolFee,
+        uint256 rigRevealWindow,
+        uint256 rigCommitBond,
+        uint8 rigPriceCurve,
+        uint256 rigPriceHalfLife,
+        uint256 rigPriceFloor,
+        bool rigPriceFloorIsReserve,
+        uint256 rigAdminDelay,
         uint256 auctionInitPrice,
         uint256 auctionEpochPeriod,
         uint256 auctionPriceMultiplier,
-        uint256 auctionMinInitPrice
+        uint256 auctionMinInitPrice,
+        uint8 auctionPriceCurve,
+        uint256 auctionPriceHalfLife,
+        uint256 auctionPriceFloor,
+        bool auctionPriceFloorIsReserve,
+        uint256 auctionReservePrice,
+        bool auctionRestartOnExpiry,
+        uint8 auctionPaymentMode,
+        address auctionPaymentReceiver
     );
     event Core__ProtocolFeeAddressSet(address protocolFeeAddress);
     event Core__MinDonutForLaunchSet(uint256 minDonutForLaunch);
+    event Core__QuoteTokenSet(address indexed quoteToken, bool allowed);
+    event Core__MinProtocolFeeSet(uint256 minProtocolFee);
+    event Core__MaxTeamFeeSet(uint256 maxTeamFee);
+    event Core__LaunchFeeSet(address token, uint256 amount);
+    event Core__LaunchFeePaid(address indexed rig, address indexed payer, address token, uint256 amount);
+    event Core__RenounceScheduled(uint256 unlockTime);
+    event Core__RenounceCancelled();
+    event Core__GuardianSet(address guardian);
+    event Core__ModeratorSet(address moderator);
+    event Core__MulticallSet(address multicall);
+    event Core__Paused(address indexed rig, uint256 until);
+    event Core__Unpaused(address indexed rig);
+    event Core__UriRulesSet(uint256 maxUriLength, bool restrictUriSchemes);
 
     /*----------  CONSTRUCTOR  ------------------------------------------*/
 
     /**
      * @notice Deploy the Core launchpad contract.
-     * @param _weth WETH token address (quote token for all rigs)
+     * @param _weth WETH token address (allowlisted as quote token by default)
      * @param _donutToken DONUT token address
      * @param _uniswapV2Factory Uniswap V2 factory address
      * @param _uniswapV2Router Uniswap V2 router address
@@ -157,13 +286,19 @@ contract Core is Ownable, ReentrancyGuard {
         auctionFactory = _auctionFactory;
         protocolFeeAddress = _protocolFeeAddress;
         minDonutForLaunch = _minDonutForLaunch;
+
+        isQuoteToken[_weth] = true;
+        emit Core__QuoteTokenSet(_weth, true);
     }
 
     /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
 
     /**
      * @notice Launch a new Rig with associated Unit token, LP, and Auction.
-     * @dev Caller must approve DONUT tokens before calling.
+     * @dev Caller must approve DONUT tokens before calling. If a launch fee is set (see getLaunchFee),
+     *      the caller also pays it: in DONUT on top of donutAmount, or as msg.value in ETH.
+     *      The caller must be params.launcher or the trusted multicall, so nobody else can use a
+     *      launcher's salt and nonce to take its predicted addresses.
      * @param params Launch parameters struct
      * @return unit Address of deployed Unit token
      * @return rig Address of deployed Rig contract
@@ -172,21 +307,28 @@ contract Core is Ownable, ReentrancyGuard {
      */
     function launch(LaunchParams calldata params)
         external
+        payable
         nonReentrant
         returns (address unit, address rig, address auction, address lpToken)
     {
         // Validate inputs
         if (params.launcher == address(0)) revert Core__InvalidLauncher();
+        if (msg.sender != params.launcher && msg.sender != multicall) revert Core__NotLauncher();
         if (params.donutAmount < minDonutForLaunch) revert Core__InsufficientDonut();
         if (bytes(params.tokenName).length == 0) revert Core__EmptyTokenName();
         if (bytes(params.tokenSymbol).length == 0) revert Core__EmptyTokenSymbol();
         if (params.unitAmount == 0) revert Core__InvalidUnitAmount();
+        if (!isQuoteToken[params.quoteToken]) revert Core__InvalidQuoteToken();
+        if (params.protocolFee < minProtocolFee) revert Core__ProtocolFeeBelowMin();
+        if (params.teamFee > maxTeamFee) revert Core__TeamFeeAboveMax();
+        _checkUri(params.uri);
 
         // Transfer DONUT from launcher
         IERC20(donutToken).safeTransferFrom(msg.sender, address(this), params.donutAmount);
 
-        // Deploy Unit token via factory (Core becomes initial rig/minter)
-        unit = IUnitFactory(unitFactory).deploy(params.tokenName, params.tokenSymbol);
+        // Deploy Unit token via factory (Core becomes initial rig/minter) at a deterministic address
+        bytes32 salt = _getLaunchSalt(params.launcher, params.salt, launchNonces[params.launcher]++);
+        unit = IUnitFactory(unitFactory).deploy(salt, params.tokenName, params.tokenSymbol);
 
         // Mint initial Unit tokens for LP seeding
         IUnit(unit).mint(address(this), params.unitAmount);
@@ -212,38 +354,76 @@ contract Core is Ownable, ReentrancyGuard {
         lpToken = IUniswapV2Factory(uniswapV2Factory).getPair(unit, donutToken);
         IERC20(lpToken).safeTransfer(DEAD_ADDRESS, liquidity);
 
+        // Burn mode burns LP, Treasury mode pays the launcher's treasury, Buyback mode pays the DONUT half to the team
+        address auctionPaymentReceiver = DEAD_ADDRESS;
+        if (params.auctionPaymentMode == 1) {
+            auctionPaymentReceiver = params.auctionPaymentReceiver;
+        } else if (params.auctionPaymentMode == 2) {
+            auctionPaymentReceiver = params.launcher;
+        }
+
         // Deploy Auction with LP as payment token
         auction = IAuctionFactory(auctionFactory).deploy(
-            params.auctionInitPrice,
-            lpToken,
-            DEAD_ADDRESS,
-            params.auctionEpochPeriod,
-            params.auctionPriceMultiplier,
-            params.auctionMinInitPrice
+            salt,
+            IAuctionFactory.AuctionParams({
+                initPrice: params.auctionInitPrice,
+                paymentToken: lpToken,
+                paymentReceiver: auctionPaymentReceiver,
+                epochPeriod: params.auctionEpochPeriod,
+                priceMultiplier: params.auctionPriceMultiplier,
+                minInitPrice: params.auctionMinInitPrice,
+                priceCurve: params.auctionPriceCurve,
+                priceHalfLife: params.auctionPriceHalfLife,
+                priceFloor: params.auctionPriceFloor,
+                priceFloorIsReserve: params.auctionPriceFloorIsReserve,
+                reservePrice: params.auctionReservePrice,
+                restartOnExpiry: params.auctionRestartOnExpiry,
+                paymentMode: params.auctionPaymentMode,
+                router: uniswapV2Router,
+                unit: unit,
+                donut: donutToken,
+                core: address(this)
+            })
         );
 
         // Deploy Rig via factory
         rig = IRigFactory(rigFactory).deploy(
-            unit,
-            weth,
-            auction,
-            params.launcher,
-            address(this),
-            params.uri,
-            params.initialUps,
-            params.tailUps,
-            params.halvingPeriod,
-            params.rigEpochPeriod,
-            params.rigPriceMultiplier,
-            params.rigMinInitPrice
+            salt,
+            IRigFactory.RigParams({
+                unit: unit,
+                quote: params.quoteToken,
+                treasury: auction,
+                team: params.launcher,
+                core: address(this),
+                owner: params.launcher,
+                uri: params.uri,
+                initialUps: params.initialUps,
+                tailUps: params.tailUps,
+                halvingPeriod: params.halvingPeriod,
+                epochPeriod: params.rigEpochPeriod,
+                priceMultiplier: params.rigPriceMultiplier,
+                minInitPrice: params.rigMinInitPrice,
+                previousMinerFee: params.previousMinerFee,
+                teamFee: params.teamFee,
+                protocolFee: params.protocolFee,
+                revealWindow: params.rigRevealWindow,
+                commitBond: params.rigCommitBond,
+                adminDelay: params.rigAdminDelay,
+                emissionSchedule: params.emissionSchedule,
+                decayPeriod: params.decayPeriod,
+                stepOffsets: params.emissionStepOffsets,
+                stepUps: params.emissionStepUps,
+                maxSupply: params.maxSupply,
+                priceCurve: params.rigPriceCurve,
+                priceHalfLife: params.rigPriceHalfLife,
+                priceFloor: params.rigPriceFloor,
+                priceFloorIsReserve: params.rigPriceFloorIsReserve
+            })
         );
 
         // Transfer Unit minting rights to Rig (permanently locked since Rig has no setRig function)
         IUnit(unit).setRig(rig);
 
-        // Transfer Rig ownership to launcher
-        IRig(rig).transferOwnership(params.launcher);
-
         // Update registry
         deployedRigs.push(rig);
         isDeployedRig[rig] = true;
@@ -251,6 +431,12 @@ contract Core is Ownable, ReentrancyGuard {
         rigToUnit[rig] = unit;
         rigToAuction[rig] = auction;
         rigToLP[rig] = lpToken;
+        unitToRig[unit] = rig;
+        auctionToRig[auction] = rig;
+        lpToRig[lpToken] = rig;
+        launcherToRigs[params.launcher].push(rig);
+
+        _chargeLaunchFee(rig);
 
         emit Core__Launched(
             params.launcher,
@@ -258,21 +444,43 @@ contract Core is Ownable, ReentrancyGuard {
             rig,
             auction,
             lpToken,
+            params.quoteToken,
             params.tokenName,
             params.tokenSymbol,
             params.uri,
             params.donutAmount,
             params.unitAmount,
+            params.maxSupply,
             params.initialUps,
             params.tailUps,
             params.halvingPeriod,
+            params.emissionSchedule,
+            params.decayPeriod,
             params.rigEpochPeriod,
             params.rigPriceMultiplier,
             params.rigMinInitPrice,
+            params.previousMinerFee,
+            params.teamFee,
+            params.protocolFee,
+            params.rigRevealWindow,
+            params.rigCommitBond,
+            params.rigPriceCurve,
+            params.rigPriceHalfLife,
+            params.rigPriceFloor,
+            params.rigPriceFloorIsReserve,
+            params.rigAdminDelay,
             params.auctionInitPrice,
             params.auctionEpochPeriod,
             params.auctionPriceMultiplier,
-            params.auctionMinInitPrice
+            params.auctionMinInitPrice,
+            params.auctionPriceCurve,
+            params.auctionPriceHalfLife,
+            params.auctionPriceFloor,
+            params.auctionPriceFloorIsReserve,
+            params.auctionReservePrice,
+            params.auctionRestartOnExpiry,
+            params.auctionPaymentMode,
+            auctionPaymentReceiver
         );
 
         return (unit, rig, auction, lpToken);
@@ -290,6 +498,19 @@ contract Core is Ownable, ReentrancyGuard {
         emit Core__ProtocolFeeAddressSet(_protocolFeeAddress);
     }
 
+    /**
+     * @notice Update the launch fee.
+     * @dev Only affects future launches. No fee is charged while protocolFeeAddress is address(0).
+     * @param _token Fee currency: donutToken, or address(0) for native ETH
+     * @param _amount Fee per launch (0 = no fee)
+     */
+    function setLaunchFee(address _token, uint256 _amount) external onlyOwner {
+        if (_token != address(0) && _token != donutToken) revert Core__InvalidLaunchFeeToken();
+        launchFeeToken = _token;
+        launchFee = _amount;
+        emit Core__LaunchFeeSet(_token, _amount);
+    }
+
     /**
      * @notice Update the minimum DONUT required to launch.
      * @param _minDonutForLaunch New minimum amount
@@ -299,8 +520,221 @@ contract Core is Ownable, ReentrancyGuard {
         emit Core__MinDonutForLaunchSet(_minDonutForLaunch);
     }
 
+    /**
+     * @notice Update the minimum protocol fee a rig can launch with.
+     * @dev Only affects future launches.
+     * @param _minProtocolFee New floor in basis points
+     */
+    function setMinProtocolFee(uint256 _minProtocolFee) external onlyOwner {
+        if (_minProtocolFee > FEE_DIVISOR) revert Core__InvalidFee();
+        minProtocolFee = _minProtocolFee;
+        emit Core__MinProtocolFeeSet(_minProtocolFee);
+    }
+
+    /**
+     * @notice Update the maximum team fee a rig can launch with.
+     * @dev Only affects future launches.
+     * @param _maxTeamFee New ceiling in basis points
+     */
+    function setMaxTeamFee(uint256 _maxTeamFee) external onlyOwner {
+        if (_maxTeamFee > FEE_DIVISOR) revert Core__InvalidFee();
+        maxTeamFee = _maxTeamFee;
+        emit Core__MaxTeamFeeSet(_maxTeamFee);
+    }
+
+    /**
+     * @notice Add or remove a token from the quote token allowlist.
+     * @dev Removing a token only affects future launches; existing rigs keep their quote.
+     * @param _quoteToken Token address
+     * @param _allowed Whether rigs may be launched with this quote token
+     */
+    function setQuoteToken(address _quoteToken, bool _allowed) external onlyOwner {
+        if (_quoteToken == address(0)) revert Core__ZeroAddress();
+        isQuoteToken[_quoteToken] = _allowed;
+        emit Core__QuoteTokenSet(_quoteToken, _allowed);
+    }
+
+    /**
+     * @notice Update the guardian allowed to pause rigs and auctions.
+     * @dev Can be set to address(0) to disable pausing. Existing pauses still expire on schedule.
+     * @param _guardian New guardian address
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        guardian = _guardian;
+        emit Core__GuardianSet(_guardian);
+    }
+
+    /**
+     * @notice Update the moderator allowed to hide epoch URIs on every rig.
+     * @dev Can be set to address(0) to leave moderation to rig owners.
+     * @param _moderator New moderator address
+     */
+    function setModerator(address _moderator) external onlyOwner {
+        moderator = _moderator;
+        emit Core__ModeratorSet(_moderator);
+    }
+
+    /**
+     * @notice Update the Multicall allowed to launch on behalf of other launchers.
+     * @dev Multicall always sets params.launcher to its own caller. Set to address(0) to require direct launches.
+     * @param _multicall New multicall address
+     */
+    function setMulticall(address _multicall) external onlyOwner {
+        multicall = _multicall;
+        emit Core__MulticallSet(_multicall);
+    }
+
+    /**
+     * @notice Update the rules for rig and epoch URIs.
+     * @dev Applies to future launches and to every rig's mine and setUri calls. Stored URIs are unaffected.
+     * @param _maxUriLength New max byte length (must be non-zero)
+     * @param _restrictUriSchemes Whether non-empty URIs must start with ipfs://, ar:// or https://
+     */
+    function setUriRules(uint256 _maxUriLength, bool _restrictUriSchemes) external onlyOwner {
+        if (_maxUriLength == 0) revert Core__InvalidMaxUriLength();
+        maxUriLength = _maxUriLength;
+        restrictUriSchemes = _restrictUriSchemes;
+        emit Core__UriRulesSet(_maxUriLength, _restrictUriSchemes);
+    }
+
+    /**
+     * @notice Schedule renouncing ownership, allowed once RENOUNCE_DELAY has elapsed.
+     * @dev Rescheduling restarts the delay.
+     */
+    function scheduleRenounceOwnership() external onlyOwner {
+        renounceUnlockTime = block.timestamp + RENOUNCE_DELAY;
+        emit Core__RenounceScheduled(renounceUnlockTime);
+    }
+
+    /**
+     * @notice Cancel a scheduled renounce.
+     * @dev Reverts if no renounce is scheduled.
+     */
+    function cancelRenounceOwnership() external onlyOwner {
+        if (renounceUnlockTime == 0) revert Core__RenounceNotScheduled();
+        renounceUnlockTime = 0;
+        emit Core__RenounceCancelled();
+    }
+
+    /**
+     * @notice Permanently give up ownership, freezing all protocol settings.
+     * @dev Reverts unless scheduled via scheduleRenounceOwnership at least RENOUNCE_DELAY ago.
+     */
+    function renounceOwnership() public override onlyOwner {
+        if (renounceUnlockTime == 0 || block.timestamp < renounceUnlockTime) revert Core__RenounceLocked();
+        super.renounceOwnership();
+    }
+
+    /*----------  GUARDIAN FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Pause mining and auction buys for one rig, or for all rigs.
+     * @dev The pause ends automatically after MAX_PAUSE_DURATION. A target cannot be paused again while
+     *      paused or within PAUSE_COOLDOWN of its last pause ending: a rig counts both its own pauses and
+     *      global pauses, which cover it. Global pauses only wait on the last global pause, never on rig pauses.
+     * @param rig Rig to pause, or address(0) to pause all rigs
+     */
+    function pause(address rig) external {
+        if (msg.sender != guardian) revert Core__NotGuardian();
+        uint256 until = block.timestamp + MAX_PAUSE_DURATION;
+
+        if (rig == address(0)) {
+            uint256 pausedBefore;
+            if (globalPauses.length != 0) {
+                Pause storage last = globalPauses[globalPauses.length - 1];
+                _checkCanPause(last.end);
+                pausedBefore = last.pausedBefore + last.end - last.start;
+            }
+            globalPauses.push(Pause(block.timestamp, until, pausedBefore));
+        } else {
+            if (!isDeployedRig[rig]) revert Core__InvalidRig();
+            _checkCanPause(rigPauses[rig].end);
+            if (globalPauses.length != 0) _checkCanPause(globalPauses[globalPauses.length - 1].end);
+            rigPauses[rig] = Pause(block.timestamp, until, _getRigPausedTime(rig, block.timestamp));
+        }
+
+        emit Core__Paused(rig, until);
+    }
+
+    /**
+     * @notice End a pause before it expires.
+     * @dev Callable by the guardian or the owner.
+     * @param rig Paused rig, or address(0) for the global pause
+     */
+    function unpause(address rig) external {
+        if (msg.sender != guardian && msg.sender != owner()) revert Core__NotGuardian();
+
+        Pause storage current;
+        if (rig != address(0)) {
+            current = rigPauses[rig];
+        } else if (globalPauses.length != 0) {
+            current = globalPauses[globalPauses.length - 1];
+        } else {
+            revert Core__NotPaused();
+        }
+        if (block.timestamp >= current.end) revert Core__NotPaused();
+        current.end = block.timestamp;
+
+        emit Core__Unpaused(rig);
+    }
+
     /*----------  VIEW FUNCTIONS  ---------------------------------------*/
 
+    /**
+     * @notice Check whether a rig or auction is paused by the guardian.
+     * @param target Rig or Auction address
+     * @return True if the target's rig or all rigs are paused
+     */
+    function isPaused(address target) external view returns (bool) {
+        return getPausedUntil(target) > block.timestamp;
+    }
+
+    /**
+     * @notice Get when the current pause of a rig or auction ends.
+     * @param target Rig or Auction address
+     * @return until Timestamp the target resumes at (0 if not paused)
+     */
+    function getPausedUntil(address target) public view returns (uint256 until) {
+        if (globalPauses.length != 0) {
+            uint256 globalEnd = globalPauses[globalPauses.length - 1].end;
+            if (globalEnd > block.timestamp) until = globalEnd;
+        }
+        uint256 rigEnd = rigPauses[_getPauseRig(target)].end;
+        if (rigEnd > block.timestamp && rigEnd > until) until = rigEnd;
+    }
+
+    /**
+     * @notice Get the total time a rig or auction has been paused up to a given time.
+     * @dev Global and rig-level pauses are combined without double counting overlaps. Rigs and Auctions
+     *      subtract this from timestamps so their Dutch auctions stand still while paused.
+     *      Times in the future assume current pauses run until they expire.
+     * @param target Rig or Auction address (other addresses only see global pauses)
+     * @param time Timestamp, not before the target's latest pause started
+     * @return Paused seconds up to time
+     */
+    function getPausedTime(address target, uint256 time) external view returns (uint256) {
+        return _getGlobalPausedTime(time) + _getRigPausedTime(_getPauseRig(target), time);
+    }
+
+    /**
+     * @notice Get the fee the next launch will charge.
+     * @return token Fee currency: donutToken, or address(0) for native ETH
+     * @return amount Fee amount (0 when no fee is set or protocolFeeAddress is address(0))
+     */
+    function getLaunchFee() public view returns (address token, uint256 amount) {
+        token = launchFeeToken;
+        amount = protocolFeeAddress == address(0) ? 0 : launchFee;
+    }
+
+    /**
+     * @notice Get the rules rigs enforce on URIs.
+     * @return maxLength Max byte length of a URI
+     * @return restrictSchemes Whether non-empty URIs must start with ipfs://, ar:// or https://
+     */
+    function getUriRules() external view returns (uint256 maxLength, bool restrictSchemes) {
+        return (maxUriLength, restrictUriSchemes);
+    }
+
     /**
      * @notice Get the total number of deployed rigs.
      * @return Number of rigs launched
@@ -308,4 +742,160 @@ contract Core is Ownable, ReentrancyGuard {
     function deployedRigsLength() external view returns (uint256) {
         return deployedRigs.length;
     }
+
+    /**
+     * @notice Get a page of registry records in launch order.
+     * @dev Returns fewer than limit records (or none) when the page runs past the end.
+     * @param offset Index of the first rig to return
+     * @param limit Maximum number of records to return
+     * @return records Registry records for the requested page
+     */
+    function getRigs(uint256 offset, uint256 limit) external view returns (RigRecord[] memory records) {
+        uint256 length = deployedRigs.length;
+        if (offset >= length) return records;
+        uint256 end = length - offset < limit ? length : offset + limit;
+
+        records = new RigRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            records[i - offset] = _getRigRecord(deployedRigs[i]);
+        }
+    }
+
+    /**
+     * @notice Get registry records for all rigs launched by a launcher.
+     * @param launcher Launcher address
+     * @return records Registry records in launch order
+     */
+    function getRigsByLauncher(address launcher) external view returns (RigRecord[] memory records) {
+        address[] storage rigs = launcherToRigs[launcher];
+        records = new RigRecord[](rigs.length);
+        for (uint256 i = 0; i < rigs.length; i++) {
+            records[i] = _getRigRecord(rigs[i]);
+        }
+    }
+
+    /**
+     * @notice Predict the Unit, Rig and Auction addresses of a launcher's next launch.
+     * @dev Addresses are derived from the launcher, the salt and the launcher's current launch nonce,
+     *      so they hold until the next launch for that launcher lands.
+     * @param launcher Launcher address that will be set in LaunchParams
+     * @param salt Salt that will be set in LaunchParams
+     * @return unit Predicted Unit token address
+     * @return rig Predicted Rig contract address
+     * @return auction Predicted Auction contract address
+     */
+    function predictAddresses(address launcher, bytes32 salt)
+        external
+        view
+        returns (address unit, address rig, address auction)
+    {
+        bytes32 launchSalt = _getLaunchSalt(launcher, salt, launchNonces[launcher]);
+        unit = IUnitFactory(unitFactory).predictAddress(address(this), launchSalt);
+        rig = IRigFactory(rigFactory).predictAddress(address(this), launchSalt);
+        auction = IAuctionFactory(auctionFactory).predictAddress(address(this), launchSalt);
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Collect the launch fee from msg.sender and forward it to protocolFeeAddress.
+     * @dev ETH fees must be paid exactly via msg.value; msg.value must be 0 otherwise.
+     * @param rig Launched Rig address (for the event)
+     */
+    function _chargeLaunchFee(address rig) internal {
+        (address token, uint256 amount) = getLaunchFee();
+        if (token == address(0)) {
+            if (msg.value != amount) revert Core__IncorrectLaunchFee();
+            if (amount == 0) return;
+            (bool success,) = protocolFeeAddress.call{value: amount}("");
+            if (!success) revert Core__LaunchFeeTransferFailed();
+        } else {
+            if (msg.value != 0) revert Core__IncorrectLaunchFee();
+            if (amount == 0) return;
+            IERC20(token).safeTransferFrom(msg.sender, protocolFeeAddress, amount);
+        }
+        emit Core__LaunchFeePaid(rig, msg.sender, token, amount);
+    }
+
+    /**
+     * @notice Revert if a non-empty URI breaks the URI rules.
+     * @param uri URI to check
+     */
+    function _checkUri(string calldata uri) internal view {
+        uint256 length = bytes(uri).length;
+        if (length == 0) return;
+        if (length > maxUriLength) revert Core__UriTooLong();
+        if (restrictUriSchemes && !UriScheme.isAllowed(bytes(uri))) revert Core__InvalidUriScheme();
+    }
+
+    /**
+     * @dev Revert if a pause ending at `end` is still running or ended less than PAUSE_COOLDOWN ago (0 = never paused).
+     */
+    function _checkCanPause(uint256 end) internal view {
+        if (end == 0) return;
+        if (block.timestamp < end) revert Core__AlreadyPaused();
+        if (block.timestamp < end + PAUSE_COOLDOWN) revert Core__PauseCooldown();
+    }
+
+    /**
+     * @dev Map an auction to its rig so both share the rig's pauses.
+     */
+    function _getPauseRig(address target) internal view returns (address) {
+        return isDeployedRig[target] ? target : auctionToRig[target];
+    }
+
+    /**
+     * @dev Total global pause time up to a given timestamp.
+     */
+    function _getGlobalPausedTime(uint256 time) internal view returns (uint256) {
+        // Find the last global pause starting at or before time
+        uint256 low = 0;
+        uint256 high = globalPauses.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (globalPauses[mid].start > time) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        if (low == 0) return 0;
+
+        Pause storage last = globalPauses[low - 1];
+        return last.pausedBefore + (time < last.end ? time : last.end) - last.start;
+    }
+
+    /**
+     * @dev Rig-level pause time up to a given timestamp, excluding time already covered by global pauses.
+     */
+    function _getRigPausedTime(address rig, uint256 time) internal view returns (uint256) {
+        Pause storage last = rigPauses[rig];
+        if (last.start == 0 || time < last.start) return last.pausedBefore;
+
+        uint256 end = time < last.end ? time : last.end;
+        uint256 globalOverlap = _getGlobalPausedTime(end) - _getGlobalPausedTime(last.start);
+        return last.pausedBefore + end - last.start - globalOverlap;
+    }
+
+    /**
+     * @dev Clear any scheduled renounce when ownership changes so it does not carry over to the new owner.
+     */
+    function _transferOwnership(address newOwner) internal override {
+        delete renounceUnlockTime;
+        super._transferOwnership(newOwner);
+    }
+
+    /**
+     * @dev Derive the CREATE2 salt for a launch from the launcher, user salt and launch nonce.
+     */
+    function _getLaunchSalt(address launcher, bytes32 salt, uint256 nonce) internal pure returns (bytes32) {
+        return keccak256(abi.encode(launcher, salt, nonce));
+    }
+
+    /**
+     * @dev Build the registry record for a rig from storage.
+     */
+    function _getRigRecord(address rig) internal view returns (RigRecord memory) {
+        return RigRecord(rig, rigToUnit[rig], rigToAuction[rig], rigToLP[rig], rigToLauncher[rig]);
+    }
 }
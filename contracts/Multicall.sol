@@ -3,9 +3,11 @@ pragma solidity 0.8.19;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {IRig} from "./interfaces/IRig.sol";
 import {IAuction} from "./interfaces/IAuction.sol";
 import {ICore} from "./interfaces/ICore.sol";
+import {IUniswapV2Router} from "./interfaces/IUniswapV2.sol";
 
 interface IWETH {
     function deposit() external payable;
@@ -16,12 +18,25 @@ interface IWETH {
  * @title Multicall
  * @author heesho
  * @notice Helper contract for batched operations and aggregated view functions.
- * @dev Provides ETH wrapping for mining and comprehensive state queries for Rigs and Auctions.
+ * @dev Provides ETH wrapping for mining WETH-quoted rigs, token pulls for other quote tokens,
+ *      and comprehensive state queries for Rigs and Auctions.
  */
 contract Multicall {
     using SafeERC20 for IERC20;
 
+    /*----------  CONSTANTS  --------------------------------------------*/
+
+    uint256 public constant FEE_DIVISOR = 10_000; // fee divisor (basis points)
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
     error Multicall__ZeroAddress();
+    error Multicall__InvalidQuote();
+    error Multicall__InsufficientETH();
+    error Multicall__InsufficientDonut();
+    error Multicall__MaxInputExceeded();
+    error Multicall__InsufficientLiquidity();
+    error Multicall__OnlyWETH();
 
     /*----------  IMMUTABLES  -------------------------------------------*/
 
@@ -31,6 +46,17 @@ contract Multicall {
 
     /*----------  STRUCTS  ----------------------------------------------*/
 
+    /**
+     * @notice Optional EIP-2612 permit for the rig's quote token (skipped when deadline is 0).
+     */
+    struct Permit {
+        uint256 value; // allowance granted to the rig
+        uint256 deadline; // permit deadline
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     /**
      * @notice Aggregated state for a Rig contract.
      */
@@ -40,34 +66,102 @@ contract Multicall {
         uint256 epochStartTime; // epoch start timestamp
         uint256 glazed; // tokens earned so far this epoch
         uint256 price; // current Dutch auction price
+        uint8 priceCurve; // 0 = Linear, 1 = Exponential, 2 = LinearToFloor
+        uint256 priceHalfLife; // price half-life (Exponential curve)
+        uint256 priceFloor; // floor price (Exponential/LinearToFloor curves)
+        bool priceFloorIsReserve; // floor still applies after the epoch expires
         uint256 ups; // stored units per second
         uint256 nextUps; // calculated current ups
+        uint8 emissionSchedule; // 0 = Halving, 1 = Linear, 2 = Step
+        uint256 maxSupply; // cap on Unit total supply (0 = uncapped)
+        uint256 remainingSupply; // Unit the rig can still mint (type(uint256).max if uncapped)
         uint256 unitPrice; // Unit token price in DONUT
         address miner; // current miner
+        address quote; // payment token for mining
         string epochUri; // metadata URI set by miner
+        bool hidden; // whether the rig owner or Core's moderator hid epochUri
         string rigUri; // metadata URI for the unit token (set by owner)
+        uint256 previousMinerFee; // share of price to previous miner (basis points)
+        uint256 treasuryFee; // share of price to treasury (basis points)
+        uint256 teamFee; // share of price to team (basis points)
+        uint256 protocolFee; // share of price to protocol (basis points)
+        uint256 revealWindow; // commit-reveal window (0 = direct mining)
+        uint256 commitBond; // quote bond per commitment
+        uint256 adminDelay; // delay between queueing and executing treasury/team changes
+        address pendingTreasury; // queued treasury change
+        uint256 pendingTreasuryUnlockTime; // when the treasury change can execute (0 = none queued)
+        address pendingTeam; // queued team change
+        uint256 pendingTeamUnlockTime; // when the team change can execute (0 = none queued)
+        uint256 pausedUntil; // when a guardian pause of mining ends (0 = not paused)
         uint256 ethBalance; // user's ETH balance
         uint256 wethBalance; // user's WETH balance
         uint256 donutBalance; // user's DONUT balance
         uint256 unitBalance; // user's Unit balance
+        uint256 quoteBalance; // user's quote token balance
+        uint256 claimable; // user's quote owed by the rig from failed fee transfers
+        bytes32 commitHash; // user's pending commitment (zero if none)
+        uint256 commitEpochId; // epoch of the user's pending commitment
+        uint256 committedAt; // timestamp of the user's pending commitment
     }
 
     /**
      * @notice Aggregated state for an Auction contract.
      */
     struct AuctionState {
-        uint256 epochId; // current epoch
+        uint256 epochId; // current epoch, including pending restarts
         uint256 initPrice; // epoch starting price
         uint256 startTime; // epoch start timestamp
         address paymentToken; // LP token used for payment (Unit-DONUT LP)
         uint256 price; // current Dutch auction price (in LP tokens)
+        uint8 priceCurve; // 0 = Linear, 1 = Exponential, 2 = LinearToFloor
+        uint256 priceHalfLife; // price half-life (Exponential curve)
+        uint256 priceFloor; // floor price (Exponential/LinearToFloor curves)
+        bool priceFloorIsReserve; // floor still applies after the epoch expires
+        uint256 reservePrice; // price never drops below this (0 = no reserve)
+        bool restartOnExpiry; // unsold expired epochs restart at minInitPrice
+        uint8 paymentMode; // 0 = Burn, 1 = Treasury, 2 = Buyback
+        address paymentReceiver; // receives LP payments (Buyback: receives the DONUT half)
+        uint256 pausedUntil; // when a guardian pause of buys ends (0 = not paused)
         uint256 paymentTokenPrice; // LP token price in DONUT
         uint256 wethAccumulated; // WETH held by auction (from treasury fees)
+        address quote; // rig quote token accumulated by the auction
+        uint256 quoteAccumulated; // quote tokens held by auction (from treasury fees)
         uint256 wethBalance; // user's WETH balance
         uint256 donutBalance; // user's DONUT balance
         uint256 paymentTokenBalance; // user's LP balance
     }
 
+    /**
+     * @notice An account's holdings in one rig, valued in DONUT from the Unit/DONUT LP reserves.
+     */
+    struct PortfolioEntry {
+        address rig; // Rig contract
+        address unit; // Unit token
+        address lpToken; // Unit/DONUT LP token
+        address quote; // rig quote token
+        uint256 unitPrice; // Unit token price in DONUT
+        uint256 lpPrice; // LP token price in DONUT
+        uint256 unitBalance; // account's Unit balance
+        bool isMiner; // account is the current epoch miner
+        uint256 glazed; // Unit the account has earned so far this epoch (0 unless isMiner)
+        uint256 lpBalance; // account's LP balance
+        uint256 claimable; // account's quote owed by the rig from failed fee transfers
+        uint256 value; // Unit balance, glazed Unit and LP balance valued in DONUT
+    }
+
+    /**
+     * @notice Amounts needed to zap DONUT into exactly an auction's current price in LP.
+     */
+    struct Zap {
+        address auction; // Auction contract
+        address lpToken; // Unit/DONUT LP token (auction payment token)
+        address unit; // Unit token
+        uint256 price; // LP required by the auction
+        uint256 swapIn; // DONUT swapped for Unit
+        uint256 unitOut; // Unit received from the swap
+        uint256 donutForLp; // DONUT paired with unitOut when adding liquidity
+    }
+
     /*----------  CONSTRUCTOR  ------------------------------------------*/
 
     /**
@@ -83,11 +177,20 @@ contract Multicall {
         donut = _donut;
     }
 
+    /**
+     * @notice Accept ETH unwrapped from WETH for refunds.
+     */
+    receive() external payable {
+        if (msg.sender != weth) revert Multicall__OnlyWETH();
+    }
+
     /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
 
     /**
-     * @notice Mine a rig using ETH (wraps to WETH automatically).
-     * @dev Wraps sent ETH to WETH, approves the rig, and calls mine(). Refunds excess WETH.
+     * @notice Mine a WETH-quoted rig using ETH (wraps to WETH automatically).
+     * @dev Wraps sent ETH to WETH, approves the rig, and calls mine(). Refunds the unspent ETH as native ETH,
+     *      or as WETH if the caller cannot receive ETH.
+     *      Reverts if the rig is quoted in any other token; use mineWithToken() instead.
      * @param rig Rig contract address
      * @param epochId Expected epoch ID
      * @param deadline Transaction deadline
@@ -98,21 +201,77 @@ contract Multicall {
         external
         payable
     {
+        if (IRig(rig).quote() != weth) revert Multicall__InvalidQuote();
+
         IWETH(weth).deposit{value: msg.value}();
         IERC20(weth).safeApprove(rig, 0);
         IERC20(weth).safeApprove(rig, msg.value);
         IRig(rig).mine(msg.sender, epochId, deadline, maxPrice, epochUri);
 
-        // Refund unused WETH
-        uint256 wethBalance = IERC20(weth).balanceOf(address(this));
-        if (wethBalance > 0) {
-            IERC20(weth).safeTransfer(msg.sender, wethBalance);
+        // Refund unused WETH as ETH
+        _refundWETH(IERC20(weth).balanceOf(address(this)));
+    }
+
+    /**
+     * @notice Mine a rig by paying in its quote token.
+     * @dev Pulls exactly the current price in the rig's quote token from the caller, approves the rig,
+     *      and calls mine(). Caller must approve this contract for the rig's quote token.
+     * @param rig Rig contract address
+     * @param epochId Expected epoch ID
+     * @param deadline Transaction deadline
+     * @param maxPrice Maximum price willing to pay
+     * @param epochUri Metadata URI for this mining action
+     */
+    function mineWithToken(address rig, uint256 epochId, uint256 deadline, uint256 maxPrice, string calldata epochUri)
+        external
+    {
+        address quote = IRig(rig).quote();
+        uint256 price = IRig(rig).getPrice();
+
+        IERC20(quote).safeTransferFrom(msg.sender, address(this), price);
+        IERC20(quote).safeApprove(rig, 0);
+        IERC20(quote).safeApprove(rig, price);
+        IRig(rig).mine(msg.sender, epochId, deadline, maxPrice, epochUri);
+    }
+
+    /**
+     * @notice Relay a signed mining order to a rig, optionally applying a quote token permit first.
+     * @dev The signer pays the rig directly; this contract never holds funds. A failing permit is
+     *      ignored so a front-run permit does not block the order (mineWithSig then relies on allowance).
+     * @param rig Rig contract address
+     * @param signer Address that signed the order and pays for it
+     * @param miner Address to set as new miner
+     * @param epochId Expected epoch ID
+     * @param deadline Order deadline
+     * @param maxPrice Maximum price the signer is willing to pay
+     * @param epochUri Metadata URI for this mining action
+     * @param signature EIP-712 signature over the rig's MineOrder
+     * @param permit Optional permit granting the rig allowance over the signer's quote token
+     * @return price Actual price paid
+     */
+    function mineFor(
+        address rig,
+        address signer,
+        address miner,
+        uint256 epochId,
+        uint256 deadline,
+        uint256 maxPrice,
+        string calldata epochUri,
+        bytes calldata signature,
+        Permit calldata permit
+    ) external returns (uint256 price) {
+        if (permit.deadline != 0) {
+            try IERC20Permit(IRig(rig).quote()).permit(
+                signer, rig, permit.value, permit.deadline, permit.v, permit.r, permit.s
+            ) {} catch {}
         }
+        return IRig(rig).mineWithSig(signer, miner, epochId, deadline, maxPrice, epochUri, signature);
     }
 
     /**
      * @notice Buy from an auction using LP tokens.
      * @dev Transfers LP tokens from caller, approves auction, and executes buy.
+     *      The buyer receives the rig's accumulated quote token.
      * @param rig Rig contract address (used to look up auction)
      * @param epochId Expected epoch ID
      * @param deadline Transaction deadline
@@ -123,7 +282,7 @@ contract Multicall {
         address paymentToken = IAuction(auction).paymentToken();
         uint256 price = IAuction(auction).getPrice();
         address[] memory assets = new address[](1);
-        assets[0] = weth;
+        assets[0] = IRig(rig).quote();
 
         IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), price);
         IERC20(paymentToken).safeApprove(auction, 0);
@@ -131,9 +290,70 @@ contract Multicall {
         IAuction(auction).buy(assets, msg.sender, epochId, deadline, maxPaymentTokenAmount);
     }
 
+    /**
+     * @notice Buy from an auction paying with DONUT instead of LP.
+     * @dev Swaps part of the DONUT for Unit in the rig's Unit/DONUT pool, adds liquidity to mint the auction's
+     *      current price in LP, and buys. Pulls only the DONUT needed; leftover Unit, DONUT and LP are refunded.
+     * @param rig Rig contract address (used to look up auction)
+     * @param epochId Expected epoch ID
+     * @param deadline Transaction deadline
+     * @param maxDonutIn Maximum DONUT willing to spend
+     * @return donutIn DONUT spent
+     */
+    function buyWithDonut(address rig, uint256 epochId, uint256 deadline, uint256 maxDonutIn)
+        external
+        returns (uint256 donutIn)
+    {
+        Zap memory zap = _quoteZap(rig);
+        donutIn = zap.swapIn + zap.donutForLp;
+        if (donutIn > maxDonutIn) revert Multicall__MaxInputExceeded();
+
+        if (donutIn > 0) IERC20(donut).safeTransferFrom(msg.sender, address(this), donutIn);
+        _zapBuy(rig, zap, epochId, deadline);
+    }
+
+    /**
+     * @notice Buy from an auction paying with ETH instead of LP.
+     * @dev Wraps msg.value, swaps WETH for exactly the DONUT buyWithDonut would need (via the WETH/DONUT pool),
+     *      then zaps and buys. msg.value is the maximum input; unused ETH (as native ETH, or WETH if the caller
+     *      cannot receive ETH) and leftover Unit, DONUT and LP are refunded.
+     * @param rig Rig contract address (used to look up auction)
+     * @param epochId Expected epoch ID
+     * @param deadline Transaction deadline
+     * @return ethIn ETH spent
+     */
+    function buyWithETH(address rig, uint256 epochId, uint256 deadline) external payable returns (uint256 ethIn) {
+        Zap memory zap = _quoteZap(rig);
+        uint256 donutIn = zap.swapIn + zap.donutForLp;
+        IWETH(weth).deposit{value: msg.value}();
+
+        if (donutIn > 0) {
+            address router = ICore(core).uniswapV2Router();
+            IERC20(weth).safeApprove(router, 0);
+            IERC20(weth).safeApprove(router, msg.value);
+
+            address[] memory path = new address[](2);
+            path[0] = weth;
+            path[1] = donut;
+            if (IUniswapV2Router(router).getAmountsIn(donutIn, path)[0] > msg.value) {
+                revert Multicall__MaxInputExceeded();
+            }
+            ethIn = IUniswapV2Router(router).swapTokensForExactTokens(
+                donutIn, msg.value, path, address(this), block.timestamp
+            )[0];
+        }
+
+        _zapBuy(rig, zap, epochId, deadline);
+
+        // Refund unused WETH as ETH
+        _refundWETH(msg.value - ethIn);
+    }
+
     /**
      * @notice Launch a new rig via Core.
      * @dev Transfers DONUT from caller, approves Core, and calls launch with caller as launcher.
+     *      Core's launch fee (see Core.getLaunchFee) is pulled in DONUT along with donutAmount, or
+     *      forwarded from msg.value when charged in ETH.
      * @param params Launch parameters (launcher field is overwritten with msg.sender)
      * @return unit Address of deployed Unit token
      * @return rig Address of deployed Rig contract
@@ -142,34 +362,61 @@ contract Multicall {
      */
     function launch(ICore.LaunchParams calldata params)
         external
+        payable
         returns (address unit, address rig, address auction, address lpToken)
     {
-        // Transfer DONUT from user
-        IERC20(donut).safeTransferFrom(msg.sender, address(this), params.donutAmount);
-        IERC20(donut).safeApprove(core, 0);
-        IERC20(donut).safeApprove(core, params.donutAmount);
-
-        // Build params with msg.sender as launcher
-        ICore.LaunchParams memory launchParams = ICore.LaunchParams({
-            launcher: msg.sender,
-            tokenName: params.tokenName,
-            tokenSymbol: params.tokenSymbol,
-            uri: params.uri,
-            donutAmount: params.donutAmount,
-            unitAmount: params.unitAmount,
-            initialUps: params.initialUps,
-            tailUps: params.tailUps,
-            halvingPeriod: params.halvingPeriod,
-            rigEpochPeriod: params.rigEpochPeriod,
-            rigPriceMultiplier: params.rigPriceMultiplier,
-            rigMinInitPrice: params.rigMinInitPrice,
-            auctionInitPrice: params.auctionInitPrice,
-            auctionEpochPeriod: params.auctionEpochPeriod,
-            auctionPriceMultiplier: params.auctionPriceMultiplier,
-            auctionMinInitPrice: params.auctionMinInitPrice
-        });
-
-        return ICore(core).launch(launchParams);
+        // Transfer DONUT from user, including a launch fee charged in DONUT
+        (address feeToken, uint256 fee) = ICore(core).getLaunchFee();
+        uint256 donutAmount = feeToken == donut ? params.donutAmount + fee : params.donutAmount;
+        IERC20(donut).safeTransferFrom(msg.sender, address(this), donutAmount);
+
+        return _launch(params, donutAmount, msg.value);
+    }
+
+    /**
+     * @notice Launch a new rig via Core, paying for the DONUT with ETH.
+     * @dev Wraps msg.value (less any ETH launch fee) to WETH and swaps all of it to DONUT through Core's
+     *      Uniswap V2 router. The swap must return at least minDonutOut and enough DONUT for donutAmount
+     *      plus any DONUT launch fee; DONUT left over after the launch is refunded to the caller.
+     * @param params Launch parameters (launcher field is overwritten with msg.sender)
+     * @param minDonutOut Minimum DONUT the swap must return (slippage protection)
+     * @return unit Address of deployed Unit token
+     * @return rig Address of deployed Rig contract
+     * @return auction Address of deployed Auction contract
+     * @return lpToken Address of Unit/DONUT LP token
+     */
+    function launchWithETH(ICore.LaunchParams calldata params, uint256 minDonutOut)
+        external
+        payable
+        returns (address unit, address rig, address auction, address lpToken)
+    {
+        (address feeToken, uint256 fee) = ICore(core).getLaunchFee();
+        uint256 ethFee = feeToken == address(0) ? fee : 0;
+        uint256 donutAmount = feeToken == donut ? params.donutAmount + fee : params.donutAmount;
+        if (msg.value <= ethFee) revert Multicall__InsufficientETH();
+
+        // Swap ETH to DONUT
+        uint256 swapAmount = msg.value - ethFee;
+        address router = ICore(core).uniswapV2Router();
+        IWETH(weth).deposit{value: swapAmount}();
+        IERC20(weth).safeApprove(router, 0);
+        IERC20(weth).safeApprove(router, swapAmount);
+
+        address[] memory path = new address[](2);
+        path[0] = weth;
+        path[1] = donut;
+        uint256[] memory amounts = IUniswapV2Router(router).swapExactTokensForTokens(
+            swapAmount, minDonutOut, path, address(this), block.timestamp
+        );
+        uint256 donutOut = amounts[amounts.length - 1];
+        if (donutOut < donutAmount) revert Multicall__InsufficientDonut();
+
+        (unit, rig, auction, lpToken) = _launch(params, donutAmount, ethFee);
+
+        // Refund DONUT left over from the swap
+        if (donutOut > donutAmount) {
+            IERC20(donut).safeTransfer(msg.sender, donutOut - donutAmount);
+        }
     }
 
     /*----------  VIEW FUNCTIONS  ---------------------------------------*/
@@ -185,22 +432,38 @@ contract Multicall {
         state.initPrice = IRig(rig).epochInitPrice();
         state.epochStartTime = IRig(rig).epochStartTime();
         state.ups = IRig(rig).epochUps();
-        state.glazed = state.ups * (block.timestamp - state.epochStartTime);
+        state.remainingSupply = IRig(rig).getRemainingSupply();
+        state.maxSupply = IRig(rig).maxSupply();
+        state.glazed = _getGlazed(rig);
         state.price = IRig(rig).getPrice();
+        state.priceCurve = IRig(rig).priceCurve();
+        state.priceHalfLife = IRig(rig).priceHalfLife();
+        state.priceFloor = IRig(rig).priceFloor();
+        state.priceFloorIsReserve = IRig(rig).priceFloorIsReserve();
         state.nextUps = IRig(rig).getUps();
+        state.emissionSchedule = IRig(rig).emissionSchedule();
         state.miner = IRig(rig).epochMiner();
+        state.quote = IRig(rig).quote();
         state.epochUri = IRig(rig).epochUri();
+        state.hidden = IRig(rig).epochUriHidden();
         state.rigUri = IRig(rig).uri();
+        state.previousMinerFee = IRig(rig).previousMinerFee();
+        state.teamFee = IRig(rig).teamFee();
+        state.protocolFee = IRig(rig).protocolFee();
+        state.treasuryFee = FEE_DIVISOR - state.previousMinerFee - state.teamFee - state.protocolFee;
+        state.revealWindow = IRig(rig).revealWindow();
+        state.commitBond = IRig(rig).commitBond();
+        state.adminDelay = IRig(rig).adminDelay();
+        (state.pendingTreasury, state.pendingTreasuryUnlockTime) = IRig(rig).pendingTreasury();
+        (state.pendingTeam, state.pendingTeamUnlockTime) = IRig(rig).pendingTeam();
+        state.pausedUntil = ICore(core).getPausedUntil(rig);
 
         address unitToken = IRig(rig).unit();
         address auction = ICore(core).rigToAuction(rig);
 
         // Calculate Unit price in DONUT from LP reserves
         if (auction != address(0)) {
-            address lpToken = IAuction(auction).paymentToken();
-            uint256 donutInLP = IERC20(donut).balanceOf(lpToken);
-            uint256 unitInLP = IERC20(unitToken).balanceOf(lpToken);
-            state.unitPrice = unitInLP == 0 ? 0 : donutInLP * 1e18 / unitInLP;
+            state.unitPrice = _getUnitPrice(unitToken, IAuction(auction).paymentToken());
         }
 
         // User balances
@@ -208,6 +471,11 @@ contract Multicall {
         state.wethBalance = account == address(0) ? 0 : IERC20(weth).balanceOf(account);
         state.donutBalance = account == address(0) ? 0 : IERC20(donut).balanceOf(account);
         state.unitBalance = account == address(0) ? 0 : IERC20(unitToken).balanceOf(account);
+        state.quoteBalance = account == address(0) ? 0 : IERC20(state.quote).balanceOf(account);
+        state.claimable = account == address(0) ? 0 : IRig(rig).claimable(account);
+        if (account != address(0)) {
+            (state.commitHash, state.commitEpochId, state.committedAt,,) = IRig(rig).commitments(account);
+        }
 
         return state;
     }
@@ -221,22 +489,272 @@ contract Multicall {
     function getAuction(address rig, address account) external view returns (AuctionState memory state) {
         address auction = ICore(core).rigToAuction(rig);
 
-        state.epochId = IAuction(auction).epochId();
+        state.epochId = IAuction(auction).getEpochId();
         state.initPrice = IAuction(auction).initPrice();
         state.startTime = IAuction(auction).startTime();
         state.paymentToken = IAuction(auction).paymentToken();
         state.price = IAuction(auction).getPrice();
+        state.priceCurve = IAuction(auction).priceCurve();
+        state.priceHalfLife = IAuction(auction).priceHalfLife();
+        state.priceFloor = IAuction(auction).priceFloor();
+        state.priceFloorIsReserve = IAuction(auction).priceFloorIsReserve();
+        state.reservePrice = IAuction(auction).reservePrice();
+        state.restartOnExpiry = IAuction(auction).restartOnExpiry();
+        state.paymentMode = IAuction(auction).paymentMode();
+        state.paymentReceiver = IAuction(auction).paymentReceiver();
+        state.pausedUntil = ICore(core).getPausedUntil(rig);
 
-        // LP price in DONUT = (DONUT in LP * 2) / LP total supply
-        uint256 lpTotalSupply = IERC20(state.paymentToken).totalSupply();
-        state.paymentTokenPrice =
-            lpTotalSupply == 0 ? 0 : IERC20(donut).balanceOf(state.paymentToken) * 2e18 / lpTotalSupply;
+        state.paymentTokenPrice = _getLpPrice(state.paymentToken);
 
         state.wethAccumulated = IERC20(weth).balanceOf(auction);
+        state.quote = IRig(rig).quote();
+        state.quoteAccumulated = IERC20(state.quote).balanceOf(auction);
         state.wethBalance = account == address(0) ? 0 : IERC20(weth).balanceOf(account);
         state.donutBalance = account == address(0) ? 0 : IERC20(donut).balanceOf(account);
         state.paymentTokenBalance = account == address(0) ? 0 : IERC20(state.paymentToken).balanceOf(account);
 
         return state;
     }
+
+    /**
+     * @notice Quote what mining a rig would cost and pay out, now or after a delay.
+     * @dev Computed by the rig with its own fee split, supply cap and emission schedule (see Rig.getMineQuote).
+     *      Assumes the epoch is not mined before then.
+     * @param rig Rig contract address
+     * @param timestampOffset Seconds after the current block timestamp to quote for
+     * @return quote Price, fee split, Unit minted to the previous miner and next epoch parameters
+     */
+    function quoteMine(address rig, uint256 timestampOffset) external view returns (IRig.MineQuote memory quote) {
+        return IRig(rig).getMineQuote(block.timestamp + timestampOffset);
+    }
+
+    /**
+     * @notice Get aggregated state for many Rigs in one call.
+     * @dev Each rig is read in its own external call, so a rig that reverts (e.g. not a Rig) yields
+     *      success = false and an empty state instead of reverting the batch.
+     * @param rigs Rig contract addresses
+     * @param account User address (or address(0) to skip balance queries)
+     * @return success Whether each rig was read
+     * @return states Aggregated state for each rig (empty where success is false)
+     */
+    function getRigs(address[] calldata rigs, address account)
+        external
+        view
+        returns (bool[] memory success, RigState[] memory states)
+    {
+        success = new bool[](rigs.length);
+        states = new RigState[](rigs.length);
+        for (uint256 i = 0; i < rigs.length; i++) {
+            try this.getRig(rigs[i], account) returns (RigState memory state) {
+                success[i] = true;
+                states[i] = state;
+            } catch {}
+        }
+    }
+
+    /**
+     * @notice Get aggregated state for many Auctions in one call.
+     * @dev Each auction is read in its own external call, so a rig whose auction reverts yields
+     *      success = false and an empty state instead of reverting the batch.
+     * @param rigs Rig contract addresses (used to look up auctions)
+     * @param account User address (or address(0) to skip balance queries)
+     * @return success Whether each auction was read
+     * @return states Aggregated state for each auction (empty where success is false)
+     */
+    function getAuctions(address[] calldata rigs, address account)
+        external
+        view
+        returns (bool[] memory success, AuctionState[] memory states)
+    {
+        success = new bool[](rigs.length);
+        states = new AuctionState[](rigs.length);
+        for (uint256 i = 0; i < rigs.length; i++) {
+            try this.getAuction(rigs[i], account) returns (AuctionState memory state) {
+                success[i] = true;
+                states[i] = state;
+            } catch {}
+        }
+    }
+
+    /**
+     * @notice Get an account's holdings across a page of launched rigs, in launch order.
+     * @dev Pages through Core.getRigs, so it returns fewer than limit entries (or none) past the end.
+     *      Claimable fees are in each rig's quote token and are not included in value.
+     * @param account User address
+     * @param offset Index of the first rig
+     * @param limit Maximum number of rigs to return
+     * @return portfolio One entry per rig in the page
+     */
+    function getPortfolio(address account, uint256 offset, uint256 limit)
+        external
+        view
+        returns (PortfolioEntry[] memory portfolio)
+    {
+        ICore.RigRecord[] memory records = ICore(core).getRigs(offset, limit);
+        portfolio = new PortfolioEntry[](records.length);
+
+        for (uint256 i = 0; i < records.length; i++) {
+            PortfolioEntry memory entry = portfolio[i];
+            entry.rig = records[i].rig;
+            entry.unit = records[i].unit;
+            entry.lpToken = records[i].lpToken;
+            entry.quote = IRig(entry.rig).quote();
+            entry.unitPrice = _getUnitPrice(entry.unit, entry.lpToken);
+            entry.lpPrice = _getLpPrice(entry.lpToken);
+
+            entry.unitBalance = IERC20(entry.unit).balanceOf(account);
+            entry.isMiner = IRig(entry.rig).epochMiner() == account;
+            if (entry.isMiner) entry.glazed = _getGlazed(entry.rig);
+            entry.lpBalance = IERC20(entry.lpToken).balanceOf(account);
+            entry.claimable = IRig(entry.rig).claimable(account);
+
+            entry.value =
+                ((entry.unitBalance + entry.glazed) * entry.unitPrice + entry.lpBalance * entry.lpPrice) / 1e18;
+        }
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Get the Unit the current miner has earned so far this epoch, capped at the remaining supply.
+     * @param rig Rig contract address
+     * @return glazed Pending Unit for the current miner
+     */
+    function _getGlazed(address rig) internal view returns (uint256 glazed) {
+        return IRig(rig).getMineQuote(block.timestamp).minedAmount;
+    }
+
+    /**
+     * @notice Get the Unit price in DONUT from the Unit/DONUT LP reserves.
+     * @param unit Unit token address
+     * @param lpToken Unit/DONUT LP token address
+     * @return Unit price in DONUT (18 decimals)
+     */
+    function _getUnitPrice(address unit, address lpToken) internal view returns (uint256) {
+        uint256 unitInLP = IERC20(unit).balanceOf(lpToken);
+        return unitInLP == 0 ? 0 : IERC20(donut).balanceOf(lpToken) * 1e18 / unitInLP;
+    }
+
+    /**
+     * @notice Get the LP token price in DONUT: (DONUT in LP * 2) / LP total supply.
+     * @param lpToken Unit/DONUT LP token address
+     * @return LP price in DONUT (18 decimals)
+     */
+    function _getLpPrice(address lpToken) internal view returns (uint256) {
+        uint256 lpTotalSupply = IERC20(lpToken).totalSupply();
+        return lpTotalSupply == 0 ? 0 : IERC20(donut).balanceOf(lpToken) * 2e18 / lpTotalSupply;
+    }
+
+    /**
+     * @notice Unwrap WETH held by this contract and send it to msg.sender as ETH.
+     * @dev Falls back to sending WETH if msg.sender rejects ETH (e.g. a contract without a payable receive),
+     *      so a refund can never block the call it belongs to.
+     * @param amount WETH to refund
+     */
+    function _refundWETH(uint256 amount) internal {
+        if (amount == 0) return;
+        IWETH(weth).withdraw(amount);
+        (bool success,) = msg.sender.call{value: amount}("");
+        if (!success) {
+            IWETH(weth).deposit{value: amount}();
+            IERC20(weth).safeTransfer(msg.sender, amount);
+        }
+    }
+
+    /**
+     * @notice Work out the swap and deposit that mint an auction's current price in LP from DONUT alone.
+     * @dev Buying unitOut Unit moves the pool to (unitReserve - unitOut, donutReserve + swapIn) with LP supply
+     *      unchanged, so unitOut is sized to mint the price at the post-swap ratio. The router rounds the DONUT
+     *      side down by up to one wei, worth up to lpSupply / donutReserve LP, so that much extra LP is targeted
+     *      and amounts are rounded up; the excess LP is refunded.
+     * @param rig Rig contract address
+     * @return zap Auction, tokens and amounts for the zap (all amounts 0 when the auction price is 0)
+     */
+    function _quoteZap(address rig) internal view returns (Zap memory zap) {
+        zap.auction = ICore(core).rigToAuction(rig);
+        zap.lpToken = IAuction(zap.auction).paymentToken();
+        zap.unit = ICore(core).rigToUnit(rig);
+        zap.price = IAuction(zap.auction).getPrice();
+        if (zap.price == 0) return zap;
+
+        uint256 lpSupply = IERC20(zap.lpToken).totalSupply();
+        uint256 unitReserve = IERC20(zap.unit).balanceOf(zap.lpToken);
+        uint256 donutReserve = IERC20(donut).balanceOf(zap.lpToken);
+        uint256 target = zap.price + lpSupply / donutReserve + 2;
+        zap.unitOut = target * unitReserve / (lpSupply + target) + 1;
+
+        address[] memory path = new address[](2);
+        path[0] = donut;
+        path[1] = zap.unit;
+        zap.swapIn = IUniswapV2Router(ICore(core).uniswapV2Router()).getAmountsIn(zap.unitOut, path)[0];
+
+        donutReserve += zap.swapIn;
+        unitReserve -= zap.unitOut;
+        zap.donutForLp = (zap.unitOut * donutReserve + unitReserve - 1) / unitReserve + 1;
+    }
+
+    /**
+     * @notice Swap and add liquidity for a quoted zap using DONUT held by this contract, buy, and refund leftovers.
+     * @param rig Rig contract address
+     * @param zap Zap quoted by _quoteZap
+     * @param epochId Expected epoch ID
+     * @param deadline Transaction deadline
+     */
+    function _zapBuy(address rig, Zap memory zap, uint256 epochId, uint256 deadline) internal {
+        if (zap.price > 0) {
+            address router = ICore(core).uniswapV2Router();
+            IERC20(donut).safeApprove(router, 0);
+            IERC20(donut).safeApprove(router, zap.swapIn + zap.donutForLp);
+
+            address[] memory path = new address[](2);
+            path[0] = donut;
+            path[1] = zap.unit;
+            IUniswapV2Router(router).swapTokensForExactTokens(
+                zap.unitOut, zap.swapIn, path, address(this), block.timestamp
+            );
+
+            IERC20(zap.unit).safeApprove(router, 0);
+            IERC20(zap.unit).safeApprove(router, zap.unitOut);
+            (uint256 unitUsed, uint256 donutUsed, uint256 liquidity) = IUniswapV2Router(router).addLiquidity(
+                zap.unit, donut, zap.unitOut, zap.donutForLp, 0, 0, address(this), block.timestamp
+            );
+            if (liquidity < zap.price) revert Multicall__InsufficientLiquidity();
+
+            // Refund what the deposit did not use
+            if (zap.unitOut > unitUsed) IERC20(zap.unit).safeTransfer(msg.sender, zap.unitOut - unitUsed);
+            if (zap.donutForLp > donutUsed) IERC20(donut).safeTransfer(msg.sender, zap.donutForLp - donutUsed);
+            if (liquidity > zap.price) IERC20(zap.lpToken).safeTransfer(msg.sender, liquidity - zap.price);
+
+            IERC20(zap.lpToken).safeApprove(zap.auction, 0);
+            IERC20(zap.lpToken).safeApprove(zap.auction, zap.price);
+        }
+
+        address[] memory assets = new address[](1);
+        assets[0] = IRig(rig).quote();
+        IAuction(zap.auction).buy(assets, msg.sender, epochId, deadline, zap.price);
+    }
+
+    /**
+     * @notice Approve Core for DONUT held by this contract and launch with msg.sender as launcher.
+     * @param params Launch parameters (launcher field is overwritten with msg.sender)
+     * @param donutAmount DONUT to approve (donutAmount plus any DONUT launch fee)
+     * @param value ETH to forward to Core (ETH launch fee)
+     * @return unit Address of deployed Unit token
+     * @return rig Address of deployed Rig contract
+     * @return auction Address of deployed Auction contract
+     * @return lpToken Address of Unit/DONUT LP token
+     */
+    function _launch(ICore.LaunchParams calldata params, uint256 donutAmount, uint256 value)
+        internal
+        returns (address unit, address rig, address auction, address lpToken)
+    {
+        IERC20(donut).safeApprove(core, 0);
+        IERC20(donut).safeApprove(core, donutAmount);
+
+        // Launch with msg.sender as launcher
+        ICore.LaunchParams memory launchParams = params;
+        launchParams.launcher = msg.sender;
+
+        return ICore(core).launch{value: value}(launchParams);
+    }
 }
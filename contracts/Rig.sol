@@ -3,10 +3,16 @@ pragma solidity 0.8.19;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Ownable2Step} from "@openzeppelin/contracts/access/Ownable2Step.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import {Initializable} from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import {IUnit} from "./interfaces/IUnit.sol";
 import {ICore} from "./interfaces/ICore.sol";
+import {IRigFactory} from "./interfaces/IRigFactory.sol";
+import {PriceCurve} from "./libraries/PriceCurve.sol";
+import {UriScheme} from "./libraries/UriScheme.sol";
 
 /**
  * @title Rig
@@ -16,17 +22,23 @@ import {ICore} from "./interfaces/ICore.sol";
  *         rig owner receives minted Unit tokens proportional to their holding time, plus a share
  *         of the payment from the next miner.
  * @dev Implements a halving schedule for the emission rate (UPS - units per second).
+ *      Ownership transfers are two-step (the new owner must accept) and renouncing requires
+ *      scheduling it RENOUNCE_DELAY in advance.
+ *      Mining is disabled while Core's guardian has the rig paused. Prices and Unit accrual run on a
+ *      rig clock that excludes paused time (see _getClock), so both stand still during a pause.
+ *      Epoch and rig URIs must follow Core's URI rules (see ICore.getUriRules). The owner or Core's
+ *      moderator can flag the current epochUri as hidden for frontends; mining is unaffected.
  */
-contract Rig is Ownable, ReentrancyGuard {
+contract Rig is Ownable2Step, ReentrancyGuard, EIP712, Initializable {
     using SafeERC20 for IERC20;
 
     /*----------  CONSTANTS  --------------------------------------------*/
 
-    uint256 public constant PREVIOUS_MINER_FEE = 8_000; // 80% to previous miner
-    uint256 public constant TEAM_FEE = 400; // 4% to team
-    uint256 public constant PROTOCOL_FEE = 100; // 1% to protocol
     uint256 public constant DIVISOR = 10_000; // fee divisor (basis points)
     uint256 public constant PRECISION = 1e18; // precision for multiplier calcs
+    bytes32 public constant MINE_ORDER_TYPEHASH = keccak256(
+        "MineOrder(address signer,address miner,uint256 epochId,uint256 deadline,uint256 maxPrice,string epochUri,uint256 nonce)"
+    );
 
     // Launch parameter bounds
     uint256 public constant MIN_EPOCH_PERIOD = 10 minutes;
@@ -37,35 +49,126 @@ contract Rig is Ownable, ReentrancyGuard {
     uint256 public constant ABS_MAX_INIT_PRICE = type(uint192).max; // chosen so that epochInitPrice * priceMultiplier does not exceed uint256
     uint256 public constant MAX_INITIAL_UPS = 1e24; // 1 million tokens/second max to prevent overflow in minedAmount calculation
     uint256 public constant MIN_HALVING_PERIOD = 1 days; // Minimum halving period to prevent degenerate tokenomics
-
-    /*----------  IMMUTABLES  -------------------------------------------*/
-
-    uint256 public immutable initialUps; // starting units per second
-    uint256 public immutable tailUps; // minimum units per second after halvings
-    uint256 public immutable halvingPeriod; // time between emission halvings
-    uint256 public immutable epochPeriod; // duration of each Dutch auction
-    uint256 public immutable priceMultiplier; // multiplier for next epoch's starting price
-    uint256 public immutable minInitPrice; // minimum starting price per epoch
-    uint256 public immutable startTime; // contract deployment timestamp
-
-    address public immutable unit; // Unit token address
-    address public immutable quote; // payment token (e.g., WETH)
-    address public immutable core; // Core contract address
+    uint256 public constant MIN_REVEAL_WINDOW = 1 minutes; // Minimum reveal window when commit-reveal is enabled
+    uint256 public constant MAX_REVEAL_WINDOW = 1 days; // Maximum reveal window when commit-reveal is enabled
+    uint256 public constant MIN_DECAY_PERIOD = 1 days; // Minimum linear decay period to prevent degenerate tokenomics
+    uint256 public constant MAX_EMISSION_STEPS = 16; // Maximum entries in a step emission table
+    uint256 public constant MIN_PRICE_HALF_LIFE = 1 minutes; // Minimum half-life for the Exponential price curve
+    uint256 public constant RENOUNCE_DELAY = 7 days; // Time between scheduling and executing renounceOwnership
+    uint256 public constant MIN_ADMIN_DELAY = 1 days; // Minimum delay before a queued treasury/team change executes
+    uint256 public constant MAX_ADMIN_DELAY = 30 days; // Maximum delay before a queued treasury/team change executes
+    uint256 public constant ADMIN_CHANGE_EXPIRY = 14 days; // How long an unlocked treasury/team change stays executable
+
+    /*----------  CONFIGURATION  ----------------------------------------*/
+
+    uint256 public initialUps; // starting units per second
+    uint256 public tailUps; // minimum units per second after halvings
+    uint256 public halvingPeriod; // time between emission halvings (Halving schedule)
+    uint256 public decayPeriod; // time to decay linearly from initialUps to tailUps (Linear schedule)
+    EmissionSchedule public emissionSchedule; // emission schedule type
+    uint256 public epochPeriod; // duration of each Dutch auction
+    uint256 public priceMultiplier; // multiplier for next epoch's starting price
+    uint256 public minInitPrice; // minimum starting price per epoch
+    PriceCurve.Curve public priceCurve; // Dutch auction price curve type
+    uint256 public priceHalfLife; // time for the price to halve (Exponential curve)
+    uint256 public priceFloor; // lowest price reached during an epoch (Exponential/LinearToFloor curves)
+    bool public priceFloorIsReserve; // whether priceFloor still applies after the epoch expires
+    uint256 public startTime; // initialization timestamp
+    uint256 public previousMinerFee; // share of price to previous miner (basis points)
+    uint256 public teamFee; // share of price to team (basis points)
+    uint256 public protocolFee; // share of price to protocol (basis points)
+    uint256 public revealWindow; // time to reveal after committing (0 = commit-reveal disabled)
+    uint256 public commitBond; // quote bond posted with each commitment
+    uint256 public adminDelay; // time between queueing and executing treasury/team changes
+    uint256 public maxSupply; // cap on Unit total supply (0 = uncapped)
+    uint256 public initialSupply; // Unit supply minted before this rig took over (LP seed)
+
+    address public unit; // Unit token address
+    address public quote; // payment token (e.g., WETH)
+    address public core; // Core contract address
 
     /*----------  STATE  ------------------------------------------------*/
 
     uint256 public epochId; // current epoch id
     uint256 public epochInitPrice; // current epoch starting price
     uint256 public epochStartTime; // current epoch start timestamp
+    uint256 public epochStartClock; // rig clock (timestamp minus paused time) at the current epoch start
     uint256 public epochUps; // current epoch units per second
+    uint256 public totalMinted; // Unit tokens minted by this rig
 
     address public epochMiner; // current epoch miner
     address public treasury; // treasury address
     address public team; // team address
+    uint256 public renounceUnlockTime; // earliest renounceOwnership timestamp (0 = not scheduled)
+    PendingChange public pendingTreasury; // queued treasury change
+    PendingChange public pendingTeam; // queued team change
 
     string public epochUri; // current epoch miner uri
+    bool public epochUriHidden; // whether the owner or Core's moderator hid the current epochUri
     string public uri; // rig uri
 
+    mapping(address => uint256) public claimable; // account => quote owed from failed fee transfers
+    mapping(address => uint256) public nonces; // signer => next mining order nonce
+    mapping(address => Commitment) public commitments; // committer => pending commitment
+
+    EmissionStep[] internal emissionSteps; // step table (Step schedule)
+
+    /*----------  TYPES  ------------------------------------------------*/
+
+    /**
+     * @notice Supported emission schedules.
+     * @dev Halving: initialUps >> (elapsed / halvingPeriod), floored at tailUps.
+     *      Linear: initialUps decays linearly to tailUps over decayPeriod, then stays at tailUps.
+     *      Step: initialUps until the first step, then each step's ups from its offset on, floored at tailUps.
+     */
+    enum EmissionSchedule {
+        Halving,
+        Linear,
+        Step
+    }
+
+    /**
+     * @notice An entry in the step emission table.
+     */
+    struct EmissionStep {
+        uint64 offset; // seconds after startTime when this rate takes effect
+        uint192 ups; // units per second from offset on
+    }
+
+    /**
+     * @notice A sealed mining bid used in commit-reveal mode.
+     */
+    struct Commitment {
+        bytes32 commitHash; // keccak256(abi.encode(miner, maxPrice, keccak256(epochUri), salt))
+        uint256 epochId; // epoch the commitment was made in
+        uint256 committedAt; // commit timestamp (price is locked at this time)
+        uint256 commitClock; // rig clock at commit (pauses extend the reveal window)
+        uint256 commitBlock; // block of the commit (reveals must land in a later block)
+    }
+
+    /**
+     * @notice Outcome of mining the current epoch at a given time (see getMineQuote).
+     */
+    struct MineQuote {
+        uint256 price; // price the new miner pays
+        address previousMiner; // current epoch miner, paid and minted when the rig is mined
+        uint256 previousMinerAmount; // price share to the previous miner
+        uint256 treasuryAmount; // price share to the treasury (includes unset team/protocol shares)
+        uint256 teamAmount; // price share to the team
+        uint256 protocolAmount; // price share to the protocol
+        uint256 minedAmount; // Unit minted to the previous miner
+        uint256 nextInitPrice; // starting price of the next epoch
+        uint256 nextUps; // units per second for the next epoch
+    }
+
+    /**
+     * @notice A queued treasury or team change, executable from unlockTime until ADMIN_CHANGE_EXPIRY after it.
+     */
+    struct PendingChange {
+        address account; // new address (may be address(0) for team)
+        uint256 unlockTime; // earliest execution timestamp (0 = nothing queued)
+    }
+
     /*----------  ERRORS  -----------------------------------------------*/
 
     error Rig__InvalidMiner();
@@ -86,6 +189,36 @@ contract Rig is Ownable, ReentrancyGuard {
     error Rig__InvalidTailUps();
     error Rig__InvalidHalvingPeriod();
     error Rig__HalvingPeriodBelowMin();
+    error Rig__InvalidFeeSplit();
+    error Rig__NothingToClaim();
+    error Rig__InvalidSignature();
+    error Rig__InvalidRevealWindow();
+    error Rig__CommitRevealRequired();
+    error Rig__CommitRevealDisabled();
+    error Rig__InvalidCommitment();
+    error Rig__CommitmentExists();
+    error Rig__CommitmentActive();
+    error Rig__NoCommitment();
+    error Rig__InvalidReveal();
+    error Rig__RevealTooEarly();
+    error Rig__InvalidEmissionSchedule();
+    error Rig__DecayPeriodBelowMin();
+    error Rig__InvalidEmissionSteps();
+    error Rig__InvalidMaxSupply();
+    error Rig__InvalidPriceCurve();
+    error Rig__InvalidPriceHalfLife();
+    error Rig__InvalidPriceFloor();
+    error Rig__InvalidOwner();
+    error Rig__RenounceLocked();
+    error Rig__RenounceNotScheduled();
+    error Rig__InvalidAdminDelay();
+    error Rig__NoPendingChange();
+    error Rig__ChangeLocked();
+    error Rig__ChangeExpired();
+    error Rig__Paused();
+    error Rig__UriTooLong();
+    error Rig__InvalidUriScheme();
+    error Rig__NotModerator();
 
     /*----------  EVENTS  -----------------------------------------------*/
 
@@ -97,75 +230,117 @@ contract Rig is Ownable, ReentrancyGuard {
     event Rig__ProtocolFee(address indexed protocol, uint256 amount);
     event Rig__TreasurySet(address indexed treasury);
     event Rig__TeamSet(address indexed team);
+    event Rig__TreasuryQueued(address indexed treasury, uint256 unlockTime);
+    event Rig__TeamQueued(address indexed team, uint256 unlockTime);
+    event Rig__TreasuryCancelled(address indexed treasury);
+    event Rig__TeamCancelled(address indexed team);
     event Rig__UriSet(string uri);
+    event Rig__EpochUriHiddenSet(uint256 indexed epochId, bool hidden);
+    event Rig__FeeCredited(address indexed account, uint256 amount);
+    event Rig__Claimed(address indexed account, uint256 amount);
+    event Rig__NonceUsed(address indexed signer, uint256 nonce);
+    event Rig__Committed(address indexed committer, uint256 indexed epochId, bytes32 commitHash);
+    event Rig__Revealed(address indexed committer, uint256 indexed epochId, uint256 committedAt);
+    event Rig__BondRefunded(address indexed committer, uint256 amount);
+    event Rig__BondForfeited(address indexed committer, uint256 amount);
+    event Rig__RenounceScheduled(uint256 unlockTime);
+    event Rig__RenounceCancelled();
 
     /*----------  CONSTRUCTOR  ------------------------------------------*/
 
     /**
-     * @notice Deploys a new Rig contract.
-     * @param _unit Unit token address (deployed separately by Core)
-     * @param _quote Payment token address (e.g., WETH)
-     * @param _treasury Initial treasury address for fee collection
-     * @param _team Team address for fee collection
-     * @param _core Core contract address for protocol fee lookups
-     * @param _uri Metadata URI for the rig
-     * @param _initialUps Starting units per second emission rate
-     * @param _tailUps Minimum units per second after halvings
-     * @param _halvingPeriod Time between emission halvings
-     * @param _epochPeriod Duration of each Dutch auction epoch
-     * @param _priceMultiplier Multiplier for next epoch's starting price
-     * @param _minInitPrice Minimum starting price per epoch
-     */
-    constructor(
-        address _unit,
-        address _quote,
-        address _treasury,
-        address _team,
-        address _core,
-        string memory _uri,
-        uint256 _initialUps,
-        uint256 _tailUps,
-        uint256 _halvingPeriod,
-        uint256 _epochPeriod,
-        uint256 _priceMultiplier,
-        uint256 _minInitPrice
-    ) {
-        if (_unit == address(0)) revert Rig__InvalidUnit();
-        if (_quote == address(0)) revert Rig__InvalidQuote();
-        if (_treasury == address(0)) revert Rig__InvalidTreasury();
-        if (_team == address(0)) revert Rig__InvalidTeam();
-        if (_core == address(0)) revert Rig__InvalidCore();
-        if (_initialUps == 0) revert Rig__InvalidInitialUps();
-        if (_initialUps > MAX_INITIAL_UPS) revert Rig__InitialUpsExceedsMax();
-        if (_tailUps == 0 || _tailUps > _initialUps) revert Rig__InvalidTailUps();
-        if (_halvingPeriod == 0) revert Rig__InvalidHalvingPeriod();
-        if (_halvingPeriod < MIN_HALVING_PERIOD) revert Rig__HalvingPeriodBelowMin();
-        if (_minInitPrice < ABS_MIN_INIT_PRICE) revert Rig__MinInitPriceBelowAbsoluteMin();
-        if (_minInitPrice > ABS_MAX_INIT_PRICE) revert Rig__MinInitPriceAboveAbsoluteMax();
-        if (_epochPeriod < MIN_EPOCH_PERIOD || _epochPeriod > MAX_EPOCH_PERIOD) revert Rig__EpochPeriodOutOfRange();
-        if (_priceMultiplier < MIN_PRICE_MULTIPLIER || _priceMultiplier > MAX_PRICE_MULTIPLIER) {
+     * @notice Deploy the Rig implementation cloned by RigFactory.
+     * @dev Initializers are disabled on the implementation itself.
+     */
+    constructor() EIP712("Rig", "1") {
+        _disableInitializers();
+    }
+
+    /*----------  INITIALIZER  ------------------------------------------*/
+
+    /**
+     * @notice Initialize a Rig clone.
+     * @dev Called once by RigFactory right after cloning. p.owner becomes the owner directly, without acceptance.
+     * @param p Rig parameters (see IRigFactory.RigParams)
+     */
+    function initialize(IRigFactory.RigParams calldata p) external initializer {
+        if (p.unit == address(0)) revert Rig__InvalidUnit();
+        if (p.quote == address(0)) revert Rig__InvalidQuote();
+        if (p.treasury == address(0)) revert Rig__InvalidTreasury();
+        if (p.team == address(0)) revert Rig__InvalidTeam();
+        if (p.core == address(0)) revert Rig__InvalidCore();
+        if (p.owner == address(0)) revert Rig__InvalidOwner();
+        if (p.initialUps == 0) revert Rig__InvalidInitialUps();
+        if (p.initialUps > MAX_INITIAL_UPS) revert Rig__InitialUpsExceedsMax();
+        if (p.tailUps == 0 || p.tailUps > p.initialUps) revert Rig__InvalidTailUps();
+        if (p.emissionSchedule > uint8(EmissionSchedule.Step)) revert Rig__InvalidEmissionSchedule();
+        if (p.emissionSchedule == uint8(EmissionSchedule.Halving)) {
+            if (p.halvingPeriod == 0) revert Rig__InvalidHalvingPeriod();
+            if (p.halvingPeriod < MIN_HALVING_PERIOD) revert Rig__HalvingPeriodBelowMin();
+        } else if (p.emissionSchedule == uint8(EmissionSchedule.Linear)) {
+            if (p.decayPeriod < MIN_DECAY_PERIOD) revert Rig__DecayPeriodBelowMin();
+        } else {
+            _setEmissionSteps(p.stepOffsets, p.stepUps, p.tailUps);
+        }
+        if (p.minInitPrice < ABS_MIN_INIT_PRICE) revert Rig__MinInitPriceBelowAbsoluteMin();
+        if (p.minInitPrice > ABS_MAX_INIT_PRICE) revert Rig__MinInitPriceAboveAbsoluteMax();
+        if (p.epochPeriod < MIN_EPOCH_PERIOD || p.epochPeriod > MAX_EPOCH_PERIOD) revert Rig__EpochPeriodOutOfRange();
+        if (p.priceMultiplier < MIN_PRICE_MULTIPLIER || p.priceMultiplier > MAX_PRICE_MULTIPLIER) {
             revert Rig__PriceMultiplierOutOfRange();
         }
-
-        unit = _unit;
-        quote = _quote;
-        treasury = _treasury;
-        team = _team;
-        core = _core;
-        uri = _uri;
+        if (p.priceCurve > uint8(PriceCurve.Curve.LinearToFloor)) revert Rig__InvalidPriceCurve();
+        if (p.priceCurve == uint8(PriceCurve.Curve.Exponential)) {
+            if (p.priceHalfLife < MIN_PRICE_HALF_LIFE || p.priceHalfLife > p.epochPeriod) {
+                revert Rig__InvalidPriceHalfLife();
+            }
+        }
+        if (p.priceCurve != uint8(PriceCurve.Curve.Linear) && p.priceFloor > p.minInitPrice) {
+            revert Rig__InvalidPriceFloor();
+        }
+        if (p.previousMinerFee + p.teamFee + p.protocolFee > DIVISOR) revert Rig__InvalidFeeSplit();
+        uint256 _initialSupply = IERC20(p.unit).totalSupply();
+        if (p.maxSupply != 0 && p.maxSupply < _initialSupply) revert Rig__InvalidMaxSupply();
+        if (p.revealWindow != 0 && (p.revealWindow < MIN_REVEAL_WINDOW || p.revealWindow > MAX_REVEAL_WINDOW)) {
+            revert Rig__InvalidRevealWindow();
+        }
+        if (p.adminDelay < MIN_ADMIN_DELAY || p.adminDelay > MAX_ADMIN_DELAY) revert Rig__InvalidAdminDelay();
+
+        unit = p.unit;
+        quote = p.quote;
+        treasury = p.treasury;
+        team = p.team;
+        core = p.core;
+        uri = p.uri;
         startTime = block.timestamp;
 
-        initialUps = _initialUps;
-        tailUps = _tailUps;
-        halvingPeriod = _halvingPeriod;
-        epochPeriod = _epochPeriod;
-        priceMultiplier = _priceMultiplier;
-        minInitPrice = _minInitPrice;
-
-        epochInitPrice = _minInitPrice;
+        initialUps = p.initialUps;
+        tailUps = p.tailUps;
+        halvingPeriod = p.halvingPeriod;
+        decayPeriod = p.decayPeriod;
+        emissionSchedule = EmissionSchedule(p.emissionSchedule);
+        maxSupply = p.maxSupply;
+        initialSupply = _initialSupply;
+        epochPeriod = p.epochPeriod;
+        priceMultiplier = p.priceMultiplier;
+        minInitPrice = p.minInitPrice;
+        priceCurve = PriceCurve.Curve(p.priceCurve);
+        priceHalfLife = p.priceHalfLife;
+        priceFloor = p.priceFloor;
+        priceFloorIsReserve = p.priceFloorIsReserve;
+        previousMinerFee = p.previousMinerFee;
+        teamFee = p.teamFee;
+        protocolFee = p.protocolFee;
+        revealWindow = p.revealWindow;
+        commitBond = p.commitBond;
+        adminDelay = p.adminDelay;
+
+        epochInitPrice = p.minInitPrice;
         epochStartTime = block.timestamp;
-        epochMiner = _team;
-        epochUps = _initialUps;
+        epochStartClock = _getClock(block.timestamp);
+        epochMiner = p.team;
+        epochUps = p.initialUps;
+
+        _transferOwnership(p.owner);
     }
 
     /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
@@ -186,58 +361,408 @@ contract Rig is Ownable, ReentrancyGuard {
         nonReentrant
         returns (uint256 price)
     {
+        if (revealWindow != 0) revert Rig__CommitRevealRequired();
+        return _mine(msg.sender, miner, _epochId, deadline, maxPrice, _getClock(block.timestamp), _epochUri);
+    }
+
+    /**
+     * @notice Mine the rig on behalf of a signer using an EIP-712 signed mining order.
+     * @dev Anyone (e.g. a relayer) can submit the order. Payment is pulled from the signer, who must
+     *      have approved this rig for the quote token (directly or via permit). Each order consumes
+     *      the signer's current nonce, so it can only be executed once.
+     * @param signer Address that signed the order and pays for it
+     * @param miner Address to set as new miner (receives future minted tokens)
+     * @param _epochId Expected epoch ID (reverts if mismatched for frontrun protection)
+     * @param deadline Order deadline timestamp
+     * @param maxPrice Maximum price the signer is willing to pay
+     * @param _epochUri Metadata URI for this mining action
+     * @param signature EIP-712 signature over the MineOrder (EOA or ERC-1271)
+     * @return price Actual price paid
+     */
+    function mineWithSig(
+        address signer,
+        address miner,
+        uint256 _epochId,
+        uint256 deadline,
+        uint256 maxPrice,
+        string calldata _epochUri,
+        bytes calldata signature
+    ) external nonReentrant returns (uint256 price) {
+        if (revealWindow != 0) revert Rig__CommitRevealRequired();
+
+        uint256 nonce = nonces[signer]++;
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    MINE_ORDER_TYPEHASH,
+                    signer,
+                    miner,
+                    _epochId,
+                    deadline,
+                    maxPrice,
+                    keccak256(bytes(_epochUri)),
+                    nonce
+                )
+            )
+        );
+        if (!SignatureChecker.isValidSignatureNow(signer, digest, signature)) revert Rig__InvalidSignature();
+
+        emit Rig__NonceUsed(signer, nonce);
+
+        return _mine(signer, miner, _epochId, deadline, maxPrice, _getClock(block.timestamp), _epochUri);
+    }
+
+    /**
+     * @notice Commit to a sealed mining bid for the current epoch (commit-reveal mode only).
+     * @dev Locks the price at the commit timestamp and posts commitBond in the quote token.
+     *      Only one pending commitment per address; clear a stale one with clearCommitment().
+     * @param commitHash keccak256(abi.encode(miner, maxPrice, keccak256(bytes(epochUri)), salt))
+     */
+    function commit(bytes32 commitHash) external nonReentrant {
+        if (revealWindow == 0) revert Rig__CommitRevealDisabled();
+        if (commitHash == bytes32(0)) revert Rig__InvalidCommitment();
+        if (commitments[msg.sender].commitHash != bytes32(0)) revert Rig__CommitmentExists();
+        if (ICore(core).isPaused(address(this))) revert Rig__Paused();
+
+        if (commitBond > 0) IERC20(quote).safeTransferFrom(msg.sender, address(this), commitBond);
+        commitments[msg.sender] =
+            Commitment(commitHash, epochId, block.timestamp, _getClock(block.timestamp), block.number);
+
+        emit Rig__Committed(msg.sender, epochId, commitHash);
+    }
+
+    /**
+     * @notice Reveal a commitment and mine the rig at the price from the commit timestamp.
+     * @dev The earliest valid reveal for an epoch wins; later reveals for the same epoch revert with
+     *      Rig__EpochIdMismatch and can recover their bond via clearCommitment(). The bond is refunded on success.
+     *      Reveals must land in a later block than their commit, so a commit cannot be revealed atomically.
+     * @param miner Address to set as new miner (must match the commitment)
+     * @param maxPrice Maximum price willing to pay (must match the commitment)
+     * @param _epochUri Metadata URI for this mining action (must match the commitment)
+     * @param salt Secret salt used in the commitment
+     * @return price Actual price paid
+     */
+    function reveal(address miner, uint256 maxPrice, string calldata _epochUri, bytes32 salt)
+        external
+        nonReentrant
+        returns (uint256 price)
+    {
+        Commitment memory commitment = commitments[msg.sender];
+        if (commitment.commitHash == bytes32(0)) revert Rig__NoCommitment();
+        if (commitment.commitHash != keccak256(abi.encode(miner, maxPrice, keccak256(bytes(_epochUri)), salt))) {
+            revert Rig__InvalidReveal();
+        }
+        if (block.number <= commitment.commitBlock) revert Rig__RevealTooEarly();
+
+        // The reveal window runs on the rig clock, so pauses extend it
+        if (_getClock(block.timestamp) > commitment.commitClock + revealWindow) revert Rig__Expired();
+
+        delete commitments[msg.sender];
+        emit Rig__Revealed(msg.sender, commitment.epochId, commitment.committedAt);
+
+        price = _mine(
+            msg.sender, miner, commitment.epochId, block.timestamp, maxPrice, commitment.commitClock, _epochUri
+        );
+
+        if (commitBond > 0) {
+            IERC20(quote).safeTransfer(msg.sender, commitBond);
+            emit Rig__BondRefunded(msg.sender, commitBond);
+        }
+
+        return price;
+    }
+
+    /**
+     * @notice Clear the caller's unrevealed commitment once it can no longer be revealed.
+     * @dev The bond is refunded if the committed epoch has already been mined by someone else,
+     *      and forfeited to the treasury if the reveal window lapsed while that epoch was still open.
+     */
+    function clearCommitment() external nonReentrant {
+        Commitment memory commitment = commitments[msg.sender];
+        if (commitment.commitHash == bytes32(0)) revert Rig__NoCommitment();
+
+        bool sameEpoch = commitment.epochId == epochId;
+        if (sameEpoch && _getClock(block.timestamp) <= commitment.commitClock + revealWindow) {
+            revert Rig__CommitmentActive();
+        }
+
+        delete commitments[msg.sender];
+        if (commitBond == 0) return;
+
+        if (sameEpoch) {
+            _payOrCredit(treasury, commitBond);
+            emit Rig__BondForfeited(msg.sender, commitBond);
+        } else {
+            IERC20(quote).safeTransfer(msg.sender, commitBond);
+            emit Rig__BondRefunded(msg.sender, commitBond);
+        }
+    }
+
+    /**
+     * @notice Invalidate all outstanding signed mining orders of the caller.
+     */
+    function incrementNonce() external {
+        uint256 nonce = nonces[msg.sender]++;
+        emit Rig__NonceUsed(msg.sender, nonce);
+    }
+
+    /**
+     * @notice Send quote tokens credited to an account after a failed fee transfer.
+     * @dev Callable by anyone; funds always go to the credited account. This lets contracts
+     *      without a claim path (e.g. the Auction treasury) be paid once they can receive.
+     *      There is no claim() overload for msg.sender, since overloads are awkward to call from ethers
+     *      clients; pass your own address instead.
+     * @param account Account to pay out
+     * @return amount Amount of quote tokens transferred
+     */
+    function claim(address account) external nonReentrant returns (uint256 amount) {
+        amount = claimable[account];
+        if (amount == 0) revert Rig__NothingToClaim();
+
+        claimable[account] = 0;
+        IERC20(quote).safeTransfer(account, amount);
+
+        emit Rig__Claimed(account, amount);
+        return amount;
+    }
+
+    /**
+     * @notice Flag the current epoch's URI as hidden, or clear the flag.
+     * @dev Callable by the owner or Core's moderator. The URI stays stored and the flag resets on the next mine.
+     * @param _epochId Epoch whose URI is being moderated (reverts if a mine has since moved past it)
+     * @param hidden Whether frontends should hide the current epochUri
+     */
+    function setEpochUriHidden(uint256 _epochId, bool hidden) external {
+        if (msg.sender != owner() && msg.sender != ICore(core).moderator()) revert Rig__NotModerator();
+        if (_epochId != epochId) revert Rig__EpochIdMismatch();
+        epochUriHidden = hidden;
+        emit Rig__EpochUriHiddenSet(epochId, hidden);
+    }
+
+    /*----------  RESTRICTED FUNCTIONS  ---------------------------------*/
+
+    /**
+     * @notice Queue a treasury address change, executable after adminDelay.
+     * @dev Replaces any change already queued and restarts the delay.
+     * @param _treasury New treasury address
+     */
+    function queueTreasury(address _treasury) external onlyOwner {
+        if (_treasury == address(0)) revert Rig__InvalidTreasury();
+        uint256 unlockTime = block.timestamp + adminDelay;
+        pendingTreasury = PendingChange(_treasury, unlockTime);
+        emit Rig__TreasuryQueued(_treasury, unlockTime);
+    }
+
+    /**
+     * @notice Apply the queued treasury change once its delay has elapsed and before it expires.
+     */
+    function executeTreasury() external onlyOwner {
+        address _treasury = _executeChange(pendingTreasury);
+        treasury = _treasury;
+        emit Rig__TreasurySet(_treasury);
+    }
+
+    /**
+     * @notice Cancel the queued treasury change.
+     */
+    function cancelTreasury() external onlyOwner {
+        if (pendingTreasury.unlockTime == 0) revert Rig__NoPendingChange();
+        emit Rig__TreasuryCancelled(pendingTreasury.account);
+        delete pendingTreasury;
+    }
+
+    /**
+     * @notice Queue a team address change, executable after adminDelay.
+     * @dev Can be address(0) to disable team fees (redirects to treasury).
+     *      Replaces any change already queued and restarts the delay.
+     * @param _team New team address
+     */
+    function queueTeam(address _team) external onlyOwner {
+        uint256 unlockTime = block.timestamp + adminDelay;
+        pendingTeam = PendingChange(_team, unlockTime);
+        emit Rig__TeamQueued(_team, unlockTime);
+    }
+
+    /**
+     * @notice Apply the queued team change once its delay has elapsed and before it expires.
+     */
+    function executeTeam() external onlyOwner {
+        address _team = _executeChange(pendingTeam);
+        team = _team;
+        emit Rig__TeamSet(_team);
+    }
+
+    /**
+     * @notice Cancel the queued team change.
+     */
+    function cancelTeam() external onlyOwner {
+        if (pendingTeam.unlockTime == 0) revert Rig__NoPendingChange();
+        emit Rig__TeamCancelled(pendingTeam.account);
+        delete pendingTeam;
+    }
+
+    /**
+     * @notice Update the metadata URI.
+     * @dev Used to set metadata like the unit logo image.
+     * @param _uri New metadata URI
+     */
+    function setUri(string calldata _uri) external onlyOwner {
+        _checkUri(_uri);
+        uri = _uri;
+        emit Rig__UriSet(_uri);
+    }
+
+    /**
+     * @notice Schedule renouncing ownership, allowed once RENOUNCE_DELAY has elapsed.
+     * @dev Rescheduling restarts the delay.
+     */
+    function scheduleRenounceOwnership() external onlyOwner {
+        renounceUnlockTime = block.timestamp + RENOUNCE_DELAY;
+        emit Rig__RenounceScheduled(renounceUnlockTime);
+    }
+
+    /**
+     * @notice Cancel a scheduled renounce.
+     * @dev Reverts if no renounce is scheduled.
+     */
+    function cancelRenounceOwnership() external onlyOwner {
+        if (renounceUnlockTime == 0) revert Rig__RenounceNotScheduled();
+        renounceUnlockTime = 0;
+        emit Rig__RenounceCancelled();
+    }
+
+    /**
+     * @notice Permanently give up ownership, disabling treasury, team and uri changes.
+     * @dev Reverts unless scheduled via scheduleRenounceOwnership at least RENOUNCE_DELAY ago.
+     */
+    function renounceOwnership() public override onlyOwner {
+        if (renounceUnlockTime == 0 || block.timestamp < renounceUnlockTime) revert Rig__RenounceLocked();
+        super.renounceOwnership();
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get the current Dutch auction price.
+     * @return Current price (decays from epochInitPrice along priceCurve)
+     */
+    function getPrice() public view returns (uint256) {
+        return _getPriceAt(_getClock(block.timestamp));
+    }
+
+    /**
+     * @notice Get the amount of Unit tokens this rig can still mint.
+     * @return Remaining mintable supply (type(uint256).max if uncapped)
+     */
+    function getRemainingSupply() public view returns (uint256) {
+        if (maxSupply == 0) return type(uint256).max;
+        return maxSupply - initialSupply - totalMinted;
+    }
+
+    /**
+     * @notice Quote what mining the current epoch would cost and pay out at a given time.
+     * @dev Uses the same fee split, supply clamp, init price bounds and emission schedule as mining.
+     *      Assumes the epoch is not mined before then and current pauses run until they expire.
+     * @param time Timestamp to quote for (not before epochStartTime)
+     * @return mineQuote Price, fee split, Unit minted to the previous miner and next epoch parameters
+     */
+    function getMineQuote(uint256 time) external view returns (MineQuote memory mineQuote) {
+        uint256 clock = _getClock(time);
+        mineQuote.price = _getPriceAt(clock);
+        mineQuote.previousMiner = epochMiner;
+        (mineQuote.previousMinerAmount, mineQuote.treasuryAmount, mineQuote.teamAmount, mineQuote.protocolAmount) =
+            _getFeeSplit(mineQuote.price, ICore(core).protocolFeeAddress());
+        mineQuote.minedAmount = _getMinedAmount(clock);
+        mineQuote.nextInitPrice = _getNextInitPrice(mineQuote.price);
+        mineQuote.nextUps = _getUpsFromTime(time);
+    }
+
+    /**
+     * @notice Get the step emission table.
+     * @return Step table entries (empty unless the Step schedule is used)
+     */
+    function getEmissionSteps() external view returns (EmissionStep[] memory) {
+        return emissionSteps;
+    }
+
+    /**
+     * @notice Get the EIP-712 domain separator used for signed mining orders.
+     * @return Domain separator for this rig
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @notice Get the current units-per-second emission rate.
+     * @return Current UPS under the rig's emission schedule
+     */
+    function getUps() external view returns (uint256) {
+        return _getUpsFromTime(block.timestamp);
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @dev Core mining logic shared by mine(), mineWithSig() and reveal(). Pulls payment from payer,
+     *      distributes fees, mints Unit tokens to the previous holder, and starts a new epoch.
+     *      priceClock is the current rig clock, except for reveals which pay the price at commit time.
+     */
+    function _mine(
+        address payer,
+        address miner,
+        uint256 _epochId,
+        uint256 deadline,
+        uint256 maxPrice,
+        uint256 priceClock,
+        string calldata _epochUri
+    ) internal returns (uint256 price) {
+        if (ICore(core).isPaused(address(this))) revert Rig__Paused();
         if (miner == address(0)) revert Rig__InvalidMiner();
         if (block.timestamp > deadline) revert Rig__Expired();
         if (_epochId != epochId) revert Rig__EpochIdMismatch();
+        _checkUri(_epochUri);
 
-        price = getPrice();
+        price = _getPriceAt(priceClock);
         if (price > maxPrice) revert Rig__MaxPriceExceeded();
 
         // Distribute payment to fee recipients
         if (price > 0) {
             address protocolFeeAddr = ICore(core).protocolFeeAddress();
-
-            // Calculate fees - team and protocol fees go to treasury if their addresses are zero
-            uint256 previousMinerAmount = price * PREVIOUS_MINER_FEE / DIVISOR;
-            uint256 teamAmount = team != address(0) ? price * TEAM_FEE / DIVISOR : 0;
-            uint256 protocolAmount = protocolFeeAddr != address(0) ? price * PROTOCOL_FEE / DIVISOR : 0;
-            uint256 treasuryAmount = price - previousMinerAmount - teamAmount - protocolAmount;
+            (uint256 previousMinerAmount, uint256 treasuryAmount, uint256 teamAmount, uint256 protocolAmount) =
+                _getFeeSplit(price, protocolFeeAddr);
 
             // Pull payment once, then distribute
-            IERC20(quote).safeTransferFrom(msg.sender, address(this), price);
+            IERC20(quote).safeTransferFrom(payer, address(this), price);
 
             // Previous miner always gets paid
-            IERC20(quote).safeTransfer(epochMiner, previousMinerAmount);
+            _payOrCredit(epochMiner, previousMinerAmount);
             emit Rig__PreviousMinerFee(epochMiner, previousMinerAmount);
 
             // Treasury gets base fee + any unclaimed team/protocol fees
-            IERC20(quote).safeTransfer(treasury, treasuryAmount);
+            _payOrCredit(treasury, treasuryAmount);
             emit Rig__TreasuryFee(treasury, treasuryAmount);
 
             // Team fee only if team address is set
             if (teamAmount > 0) {
-                IERC20(quote).safeTransfer(team, teamAmount);
+                _payOrCredit(team, teamAmount);
                 emit Rig__TeamFee(team, teamAmount);
             }
 
             // Protocol fee only if protocol address is set
             if (protocolAmount > 0) {
-                IERC20(quote).safeTransfer(protocolFeeAddr, protocolAmount);
+                _payOrCredit(protocolFeeAddr, protocolAmount);
                 emit Rig__ProtocolFee(protocolFeeAddr, protocolAmount);
             }
         }
 
         // Calculate next epoch's starting price
-        uint256 newInitPrice = price * priceMultiplier / PRECISION;
-        if (newInitPrice > ABS_MAX_INIT_PRICE) {
-            newInitPrice = ABS_MAX_INIT_PRICE;
-        } else if (newInitPrice < minInitPrice) {
-            newInitPrice = minInitPrice;
-        }
+        uint256 newInitPrice = _getNextInitPrice(price);
 
-        // Mint tokens to previous rig holder based on holding time
-        uint256 mineTime = block.timestamp - epochStartTime;
-        uint256 minedAmount = mineTime * epochUps;
+        // Mint tokens to previous rig holder based on holding time, clamped to the supply cap
+        uint256 clock = _getClock(block.timestamp);
+        uint256 minedAmount = _getMinedAmount(clock);
+        totalMinted += minedAmount;
 
         IUnit(unit).mint(epochMiner, minedAmount);
         emit Rig__Minted(epochMiner, minedAmount);
@@ -248,73 +773,159 @@ contract Rig is Ownable, ReentrancyGuard {
         }
         epochInitPrice = newInitPrice;
         epochStartTime = block.timestamp;
+        epochStartClock = clock;
         epochMiner = miner;
         epochUps = _getUpsFromTime(block.timestamp);
         epochUri = _epochUri;
+        if (epochUriHidden) epochUriHidden = false;
 
-        emit Rig__Mined(msg.sender, miner, price, _epochUri);
+        emit Rig__Mined(payer, miner, price, _epochUri);
 
         return price;
     }
 
-    /*----------  RESTRICTED FUNCTIONS  ---------------------------------*/
+    /**
+     * @dev Revert if a non-empty URI breaks Core's URI rules.
+     */
+    function _checkUri(string calldata _uri) internal view {
+        uint256 length = bytes(_uri).length;
+        if (length == 0) return;
+        (uint256 maxLength, bool restrictSchemes) = ICore(core).getUriRules();
+        if (length > maxLength) revert Rig__UriTooLong();
+        if (restrictSchemes && !UriScheme.isAllowed(bytes(_uri))) revert Rig__InvalidUriScheme();
+    }
 
     /**
-     * @notice Update the treasury address for fee collection.
-     * @param _treasury New treasury address
+     * @dev Split a mining payment among fee recipients. Team and protocol shares go to the treasury
+     *      when their addresses are zero.
      */
-    function setTreasury(address _treasury) external onlyOwner {
-        if (_treasury == address(0)) revert Rig__InvalidTreasury();
-        treasury = _treasury;
-        emit Rig__TreasurySet(_treasury);
+    function _getFeeSplit(uint256 price, address protocolFeeAddr)
+        internal
+        view
+        returns (uint256 previousMinerAmount, uint256 treasuryAmount, uint256 teamAmount, uint256 protocolAmount)
+    {
+        previousMinerAmount = price * previousMinerFee / DIVISOR;
+        teamAmount = team != address(0) ? price * teamFee / DIVISOR : 0;
+        protocolAmount = protocolFeeAddr != address(0) ? price * protocolFee / DIVISOR : 0;
+        treasuryAmount = price - previousMinerAmount - teamAmount - protocolAmount;
     }
 
     /**
-     * @notice Update the team address for fee collection.
-     * @dev Can be set to address(0) to disable team fees (redirects to treasury).
-     * @param _team New team address
+     * @dev Calculate the next epoch's starting price from the price paid, within [minInitPrice, ABS_MAX_INIT_PRICE].
      */
-    function setTeam(address _team) external onlyOwner {
-        team = _team;
-        emit Rig__TeamSet(_team);
+    function _getNextInitPrice(uint256 price) internal view returns (uint256 newInitPrice) {
+        newInitPrice = price * priceMultiplier / PRECISION;
+        if (newInitPrice > ABS_MAX_INIT_PRICE) {
+            newInitPrice = ABS_MAX_INIT_PRICE;
+        } else if (newInitPrice < minInitPrice) {
+            newInitPrice = minInitPrice;
+        }
     }
 
     /**
-     * @notice Update the metadata URI.
-     * @dev Used to set metadata like the unit logo image.
-     * @param _uri New metadata URI
+     * @dev Calculate the Unit owed to the current miner for holding the rig until a given rig clock,
+     *      clamped to the remaining supply.
      */
-    function setUri(string calldata _uri) external onlyOwner {
-        uri = _uri;
-        emit Rig__UriSet(_uri);
+    function _getMinedAmount(uint256 clock) internal view returns (uint256 minedAmount) {
+        minedAmount = (clock - epochStartClock) * epochUps;
+        uint256 remainingSupply = getRemainingSupply();
+        if (minedAmount > remainingSupply) minedAmount = remainingSupply;
     }
 
-    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+    /**
+     * @dev Transfer quote tokens to a fee recipient, crediting them to claimable on failure.
+     *      Keeps a blacklisted or token-rejecting recipient, or a token returning malformed data, from blocking mining.
+     */
+    function _payOrCredit(address to, uint256 amount) internal {
+        (bool success, bytes memory data) = quote.call(abi.encodeCall(IERC20.transfer, (to, amount)));
+        if (success && (data.length == 0 || (data.length == 32 && abi.decode(data, (bool))))) return;
+
+        claimable[to] += amount;
+        emit Rig__FeeCredited(to, amount);
+    }
 
     /**
-     * @notice Get the current Dutch auction price.
-     * @return Current price (linearly decays from epochInitPrice to 0 over epochPeriod)
+     * @dev Check that a queued change exists, is unlocked and has not expired, then clear it and return its address.
+     *      Expired changes stay queued until cancelled or replaced.
      */
-    function getPrice() public view returns (uint256) {
-        uint256 timePassed = block.timestamp - epochStartTime;
-        if (timePassed > epochPeriod) return 0;
-        return epochInitPrice - epochInitPrice * timePassed / epochPeriod;
+    function _executeChange(PendingChange storage change) internal returns (address account) {
+        if (change.unlockTime == 0) revert Rig__NoPendingChange();
+        if (block.timestamp < change.unlockTime) revert Rig__ChangeLocked();
+        if (block.timestamp > change.unlockTime + ADMIN_CHANGE_EXPIRY) revert Rig__ChangeExpired();
+        account = change.account;
+        delete change.account;
+        delete change.unlockTime;
     }
 
     /**
-     * @notice Get the current units-per-second emission rate.
-     * @return Current UPS after applying halvings
+     * @dev Clear any scheduled renounce when ownership changes so it does not carry over to the new owner.
      */
-    function getUps() external view returns (uint256) {
-        return _getUpsFromTime(block.timestamp);
+    function _transferOwnership(address newOwner) internal override {
+        delete renounceUnlockTime;
+        super._transferOwnership(newOwner);
+    }
+
+    /**
+     * @dev Get the rig clock at a timestamp: the timestamp minus the time Core's guardian has kept this rig paused.
+     */
+    function _getClock(uint256 time) internal view returns (uint256) {
+        return time - ICore(core).getPausedTime(address(this), time);
     }
 
     /**
-     * @dev Calculate UPS at a given timestamp based on halving schedule.
+     * @dev Calculate the current epoch's Dutch auction price at a given rig clock.
+     */
+    function _getPriceAt(uint256 clock) internal view returns (uint256) {
+        return PriceCurve.getPrice(
+            priceCurve,
+            epochInitPrice,
+            clock - epochStartClock,
+            epochPeriod,
+            priceHalfLife,
+            priceFloor,
+            priceFloorIsReserve
+        );
+    }
+
+    /**
+     * @dev Validate and store the step emission table.
+     */
+    function _setEmissionSteps(uint256[] memory offsets, uint256[] memory ups, uint256 _tailUps) internal {
+        uint256 length = offsets.length;
+        if (length == 0 || length > MAX_EMISSION_STEPS || length != ups.length) revert Rig__InvalidEmissionSteps();
+
+        uint256 lastOffset = 0;
+        for (uint256 i = 0; i < length; i++) {
+            if (offsets[i] <= lastOffset || offsets[i] > type(uint64).max) revert Rig__InvalidEmissionSteps();
+            if (ups[i] < _tailUps || ups[i] > MAX_INITIAL_UPS) revert Rig__InvalidEmissionSteps();
+            emissionSteps.push(EmissionStep(uint64(offsets[i]), uint192(ups[i])));
+            lastOffset = offsets[i];
+        }
+    }
+
+    /**
+     * @dev Calculate UPS at a given timestamp based on the emission schedule.
      */
     function _getUpsFromTime(uint256 time) internal view returns (uint256 ups) {
-        uint256 halvings = time <= startTime ? 0 : (time - startTime) / halvingPeriod;
-        ups = initialUps >> halvings;
+        uint256 elapsed = time <= startTime ? 0 : time - startTime;
+
+        if (emissionSchedule == EmissionSchedule.Linear) {
+            if (elapsed >= decayPeriod) return tailUps;
+            return initialUps - (initialUps - tailUps) * elapsed / decayPeriod;
+        }
+
+        if (emissionSchedule == EmissionSchedule.Step) {
+            ups = initialUps;
+            uint256 length = emissionSteps.length;
+            for (uint256 i = 0; i < length; i++) {
+                EmissionStep memory step = emissionSteps[i];
+                if (elapsed < step.offset) break;
+                ups = step.ups;
+            }
+        } else {
+            ups = initialUps >> (elapsed / halvingPeriod);
+        }
+
         if (ups < tailUps) ups = tailUps;
         return ups;
     }
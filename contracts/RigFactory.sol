@@ -1,60 +1,48 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
+import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
 import {Rig} from "./Rig.sol";
+import {IRigFactory} from "./interfaces/IRigFactory.sol";
 
 /**
  * @title RigFactory
  * @author heesho
  * @notice Factory contract for deploying new Rig instances.
  * @dev Called by Core during the launch process to create new Rig contracts.
+ *      Rigs are EIP-1167 minimal proxy clones of a single implementation, deployed with CREATE2
+ *      so the address depends only on the caller and salt.
  */
 contract RigFactory {
+    address public immutable implementation; // Rig implementation cloned for each launch
+
+    /**
+     * @notice Deploy the factory and its Rig implementation.
+     */
+    constructor() {
+        implementation = address(new Rig());
+    }
+
     /**
-     * @notice Deploy a new Rig contract.
-     * @param _unit Unit token address (deployed separately by Core)
-     * @param _quote Payment token address (e.g., WETH)
-     * @param _treasury Treasury address for fee collection
-     * @param _team Team address for fee collection
-     * @param _core Core contract address
-     * @param _uri Metadata URI for the rig
-     * @param _initialUps Starting units per second
-     * @param _tailUps Minimum units per second
-     * @param _halvingPeriod Time between halvings
-     * @param _epochPeriod Duration of each epoch
-     * @param _priceMultiplier Price multiplier for next epoch
-     * @param _minInitPrice Minimum starting price
+     * @notice Deploy a new Rig clone.
+     * @dev The new Rig is owned by _params.owner.
+     * @param _salt Salt for the CREATE2 deployment (combined with msg.sender)
+     * @param _params Rig parameters
      * @return Address of the newly deployed Rig
      */
-    function deploy(
-        address _unit,
-        address _quote,
-        address _treasury,
-        address _team,
-        address _core,
-        string calldata _uri,
-        uint256 _initialUps,
-        uint256 _tailUps,
-        uint256 _halvingPeriod,
-        uint256 _epochPeriod,
-        uint256 _priceMultiplier,
-        uint256 _minInitPrice
-    ) external returns (address) {
-        Rig rig = new Rig(
-            _unit,
-            _quote,
-            _treasury,
-            _team,
-            _core,
-            _uri,
-            _initialUps,
-            _tailUps,
-            _halvingPeriod,
-            _epochPeriod,
-            _priceMultiplier,
-            _minInitPrice
-        );
-        rig.transferOwnership(msg.sender);
-        return address(rig);
+    function deploy(bytes32 _salt, IRigFactory.RigParams calldata _params) external returns (address) {
+        address rig = Clones.cloneDeterministic(implementation, keccak256(abi.encode(msg.sender, _salt)));
+        Rig(rig).initialize(_params);
+        return rig;
+    }
+
+    /**
+     * @notice Predict the address of a Rig deployed by a caller with a given salt.
+     * @param _deployer Address that will call deploy (e.g. Core)
+     * @param _salt Salt that will be passed to deploy
+     * @return Predicted Rig address
+     */
+    function predictAddress(address _deployer, bytes32 _salt) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, keccak256(abi.encode(_deployer, _salt)));
     }
 }
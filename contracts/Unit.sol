@@ -4,6 +4,7 @@ pragma solidity 0.8.19;
 import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import {ERC20Votes} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import {IUnitFactory} from "./interfaces/IUnitFactory.sol";
 
 /**
  * @title Unit
@@ -25,11 +26,13 @@ contract Unit is ERC20, ERC20Permit, ERC20Votes {
 
     /**
      * @notice Deploy a new Unit token.
-     * @dev The deployer (msg.sender) becomes the initial rig for minting.
-     * @param _name Token name
-     * @param _symbol Token symbol
+     * @dev Deployed by UnitFactory, which exposes the token name and symbol during deployment so the
+     *      init code stays constant for CREATE2. The deployer (msg.sender) becomes the initial rig for minting.
      */
-    constructor(string memory _name, string memory _symbol) ERC20(_name, _symbol) ERC20Permit(_name) {
+    constructor()
+        ERC20(IUnitFactory(msg.sender).tokenName(), IUnitFactory(msg.sender).tokenSymbol())
+        ERC20Permit(IUnitFactory(msg.sender).tokenName())
+    {
         rig = msg.sender;
     }
 
@@ -1,6 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
+import {Create2} from "@openzeppelin/contracts/utils/Create2.sol";
 import {Unit} from "./Unit.sol";
 
 /**
@@ -9,17 +10,41 @@ import {Unit} from "./Unit.sol";
  * @notice Factory contract for deploying new Unit token instances.
  * @dev Called by Core during the launch process to create new Unit tokens.
  *      The deployer (Core) becomes the initial rig and can mint tokens for LP seeding.
+ *      Units are deployed with CREATE2. The token name and symbol are read back by the Unit
+ *      constructor, so the init code is constant and the address depends only on the caller and salt.
  */
 contract UnitFactory {
+    string public tokenName; // name of the Unit being deployed (cleared after deployment)
+    string public tokenSymbol; // symbol of the Unit being deployed (cleared after deployment)
+
     /**
      * @notice Deploy a new Unit token.
+     * @param _salt Salt for the CREATE2 deployment (combined with msg.sender)
      * @param _tokenName Name for the Unit token
      * @param _tokenSymbol Symbol for the Unit token
      * @return Address of the newly deployed Unit token
      */
-    function deploy(string calldata _tokenName, string calldata _tokenSymbol) external returns (address) {
-        Unit unit = new Unit(_tokenName, _tokenSymbol);
+    function deploy(bytes32 _salt, string calldata _tokenName, string calldata _tokenSymbol)
+        external
+        returns (address)
+    {
+        tokenName = _tokenName;
+        tokenSymbol = _tokenSymbol;
+        Unit unit = new Unit{salt: keccak256(abi.encode(msg.sender, _salt))}();
+        delete tokenName;
+        delete tokenSymbol;
+
         unit.setRig(msg.sender);
         return address(unit);
     }
+
+    /**
+     * @notice Predict the address of a Unit deployed by a caller with a given salt.
+     * @param _deployer Address that will call deploy (e.g. Core)
+     * @param _salt Salt that will be passed to deploy
+     * @return Predicted Unit address
+     */
+    function predictAddress(address _deployer, bytes32 _salt) external view returns (address) {
+        return Create2.computeAddress(keccak256(abi.encode(_deployer, _salt)), keccak256(type(Unit).creationCode));
+    }
 }
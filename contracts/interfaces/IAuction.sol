@@ -15,8 +15,18 @@ interface IAuction {
         uint256 maxPaymentTokenAmount
     ) external;
     function epochId() external view returns (uint256);
+    function getEpochId() external view returns (uint256);
     function initPrice() external view returns (uint256);
     function startTime() external view returns (uint256);
     function paymentToken() external view returns (address);
     function getPrice() external view returns (uint256);
+    function priceCurve() external view returns (uint8);
+    function priceHalfLife() external view returns (uint256);
+    function priceFloor() external view returns (uint256);
+    function priceFloorIsReserve() external view returns (bool);
+    function reservePrice() external view returns (uint256);
+    function restartOnExpiry() external view returns (bool);
+    function restart() external;
+    function paymentReceiver() external view returns (address);
+    function paymentMode() external view returns (uint8);
 }
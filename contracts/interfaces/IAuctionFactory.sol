@@ -7,12 +7,30 @@ pragma solidity 0.8.19;
  * @notice Interface for the AuctionFactory contract.
  */
 interface IAuctionFactory {
-    function deploy(
-        uint256 _initPrice,
-        address _paymentToken,
-        address _paymentReceiver,
-        uint256 _epochPeriod,
-        uint256 _priceMultiplier,
-        uint256 _minInitPrice
-    ) external returns (address);
+    /**
+     * @notice Parameters for deploying an Auction, passed to Auction.initialize.
+     */
+    struct AuctionParams {
+        uint256 initPrice; // starting price for the first epoch
+        address paymentToken; // LP token address used for payments
+        address paymentReceiver; // receives payments (burn address, treasury, or Buyback DONUT recipient)
+        uint256 epochPeriod; // duration of each auction epoch
+        uint256 priceMultiplier; // price multiplier for calculating next epoch's starting price
+        uint256 minInitPrice; // minimum allowed starting price
+        uint8 priceCurve; // 0 = Linear, 1 = Exponential, 2 = LinearToFloor
+        uint256 priceHalfLife; // price half-life (Exponential curve)
+        uint256 priceFloor; // lowest price during an epoch, at most minInitPrice (Exponential/LinearToFloor)
+        bool priceFloorIsReserve; // keep the floor price after an epoch expires instead of dropping to 0
+        uint256 reservePrice; // minimum price the auction holds at, at most minInitPrice (0 for no reserve)
+        bool restartOnExpiry; // restart an unsold expired epoch at minInitPrice
+        uint8 paymentMode; // 0 = Burn, 1 = Treasury, 2 = Buyback
+        address router; // Uniswap V2 router used to unwind LP (Buyback mode)
+        address unit; // Unit token in the LP pair (Buyback mode)
+        address donut; // DONUT token in the LP pair (Buyback mode)
+        address core; // Core contract whose guardian can pause buys (address(0) = never paused)
+    }
+
+    function deploy(bytes32 _salt, AuctionParams calldata _params) external returns (address);
+    function implementation() external view returns (address);
+    function predictAddress(address _deployer, bytes32 _salt) external view returns (address);
 }
@@ -9,25 +9,59 @@ pragma solidity 0.8.19;
 interface ICore {
     struct LaunchParams {
         address launcher;
+        bytes32 salt;
+        address quoteToken;
         string tokenName;
         string tokenSymbol;
         string uri;
         uint256 donutAmount;
         uint256 unitAmount;
+        uint256 maxSupply;
         uint256 initialUps;
         uint256 tailUps;
         uint256 halvingPeriod;
+        uint8 emissionSchedule;
+        uint256 decayPeriod;
+        uint256[] emissionStepOffsets;
+        uint256[] emissionStepUps;
         uint256 rigEpochPeriod;
         uint256 rigPriceMultiplier;
         uint256 rigMinInitPrice;
+        uint256 previousMinerFee;
+        uint256 teamFee;
+        uint256 protocolFee;
+        uint256 rigRevealWindow;
+        uint256 rigCommitBond;
+        uint8 rigPriceCurve;
+        uint256 rigPriceHalfLife;
+        uint256 rigPriceFloor;
+        bool rigPriceFloorIsReserve;
+        uint256 rigAdminDelay;
         uint256 auctionInitPrice;
         uint256 auctionEpochPeriod;
         uint256 auctionPriceMultiplier;
         uint256 auctionMinInitPrice;
+        uint8 auctionPriceCurve;
+        uint256 auctionPriceHalfLife;
+        uint256 auctionPriceFloor;
+        bool auctionPriceFloorIsReserve;
+        uint256 auctionReservePrice;
+        bool auctionRestartOnExpiry;
+        uint8 auctionPaymentMode;
+        address auctionPaymentReceiver;
+    }
+
+    struct RigRecord {
+        address rig;
+        address unit;
+        address auction;
+        address lpToken;
+        address launcher;
     }
 
     function launch(LaunchParams calldata params)
         external
+        payable
         returns (address unit, address rig, address auction, address lpToken);
     function protocolFeeAddress() external view returns (address);
     function weth() external view returns (address);
@@ -35,6 +69,21 @@ interface ICore {
     function uniswapV2Factory() external view returns (address);
     function uniswapV2Router() external view returns (address);
     function minDonutForLaunch() external view returns (uint256);
+    function isQuoteToken(address token) external view returns (bool);
+    function minProtocolFee() external view returns (uint256);
+    function maxTeamFee() external view returns (uint256);
+    function launchFeeToken() external view returns (address);
+    function launchFee() external view returns (uint256);
+    function getLaunchFee() external view returns (address token, uint256 amount);
+    function maxUriLength() external view returns (uint256);
+    function restrictUriSchemes() external view returns (bool);
+    function getUriRules() external view returns (uint256 maxLength, bool restrictSchemes);
+    function guardian() external view returns (address);
+    function moderator() external view returns (address);
+    function multicall() external view returns (address);
+    function isPaused(address target) external view returns (bool);
+    function getPausedUntil(address target) external view returns (uint256);
+    function getPausedTime(address target, uint256 time) external view returns (uint256);
     function isDeployedRig(address rig) external view returns (bool);
     function rigToLauncher(address rig) external view returns (address);
     function rigToUnit(address rig) external view returns (address);
@@ -42,4 +91,14 @@ interface ICore {
     function rigToLP(address rig) external view returns (address);
     function deployedRigsLength() external view returns (uint256);
     function deployedRigs(uint256 index) external view returns (address);
+    function unitToRig(address unit) external view returns (address);
+    function auctionToRig(address auction) external view returns (address);
+    function lpToRig(address lpToken) external view returns (address);
+    function getRigs(uint256 offset, uint256 limit) external view returns (RigRecord[] memory);
+    function getRigsByLauncher(address launcher) external view returns (RigRecord[] memory);
+    function launchNonces(address launcher) external view returns (uint256);
+    function predictAddresses(address launcher, bytes32 salt)
+        external
+        view
+        returns (address unit, address rig, address auction);
 }
@@ -7,18 +7,74 @@ pragma solidity 0.8.19;
  * @notice Interface for the Rig contract.
  */
 interface IRig {
+    struct MineQuote {
+        uint256 price;
+        address previousMiner;
+        uint256 previousMinerAmount;
+        uint256 treasuryAmount;
+        uint256 teamAmount;
+        uint256 protocolAmount;
+        uint256 minedAmount;
+        uint256 nextInitPrice;
+        uint256 nextUps;
+    }
+
     function mine(address miner, uint256 _epochId, uint256 deadline, uint256 maxPrice, string calldata _epochUri)
         external
         returns (uint256 price);
+    function mineWithSig(
+        address signer,
+        address miner,
+        uint256 _epochId,
+        uint256 deadline,
+        uint256 maxPrice,
+        string calldata _epochUri,
+        bytes calldata signature
+    ) external returns (uint256 price);
+    function commit(bytes32 commitHash) external;
+    function reveal(address miner, uint256 maxPrice, string calldata _epochUri, bytes32 salt)
+        external
+        returns (uint256 price);
+    function clearCommitment() external;
+    function claim(address account) external returns (uint256 amount);
+    function setEpochUriHidden(uint256 epochId, bool hidden) external;
     function transferOwnership(address newOwner) external;
+    function acceptOwnership() external;
+    function adminDelay() external view returns (uint256);
+    function pendingTreasury() external view returns (address account, uint256 unlockTime);
+    function pendingTeam() external view returns (address account, uint256 unlockTime);
+    function pendingOwner() external view returns (address);
     function epochId() external view returns (uint256);
     function epochInitPrice() external view returns (uint256);
     function epochStartTime() external view returns (uint256);
+    function epochStartClock() external view returns (uint256);
     function epochUps() external view returns (uint256);
     function epochMiner() external view returns (address);
     function epochUri() external view returns (string memory);
+    function epochUriHidden() external view returns (bool);
     function uri() external view returns (string memory);
     function unit() external view returns (address);
+    function quote() external view returns (address);
+    function previousMinerFee() external view returns (uint256);
+    function teamFee() external view returns (uint256);
+    function protocolFee() external view returns (uint256);
+    function claimable(address account) external view returns (uint256);
+    function nonces(address signer) external view returns (uint256);
+    function emissionSchedule() external view returns (uint8);
+    function maxSupply() external view returns (uint256);
+    function priceCurve() external view returns (uint8);
+    function priceHalfLife() external view returns (uint256);
+    function priceFloor() external view returns (uint256);
+    function priceFloorIsReserve() external view returns (bool);
+    function totalMinted() external view returns (uint256);
+    function getRemainingSupply() external view returns (uint256);
+    function revealWindow() external view returns (uint256);
+    function commitBond() external view returns (uint256);
+    function commitments(address committer)
+        external
+        view
+        returns (bytes32 commitHash, uint256 epochId, uint256 committedAt, uint256 commitClock, uint256 commitBlock);
     function getPrice() external view returns (uint256);
     function getUps() external view returns (uint256);
+    function getMineQuote(uint256 time) external view returns (MineQuote memory mineQuote);
 }
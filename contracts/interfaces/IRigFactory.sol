@@ -7,18 +7,41 @@ pragma solidity 0.8.19;
  * @notice Interface for the RigFactory contract.
  */
 interface IRigFactory {
-    function deploy(
-        address _unit,
-        address _quote,
-        address _treasury,
-        address _team,
-        address _core,
-        string calldata _uri,
-        uint256 _initialUps,
-        uint256 _tailUps,
-        uint256 _halvingPeriod,
-        uint256 _epochPeriod,
-        uint256 _priceMultiplier,
-        uint256 _minInitPrice
-    ) external returns (address);
+    /**
+     * @notice Parameters for deploying a Rig, passed to Rig.initialize.
+     */
+    struct RigParams {
+        address unit; // Unit token address (deployed separately by Core)
+        address quote; // payment token address (e.g., WETH)
+        address treasury; // initial treasury address for fee collection
+        address team; // team address for fee collection
+        address core; // Core contract address for protocol fee lookups
+        address owner; // initial owner (set directly, without two-step acceptance)
+        string uri; // metadata URI for the rig
+        uint256 initialUps; // starting units per second emission rate
+        uint256 tailUps; // minimum units per second
+        uint256 halvingPeriod; // time between emission halvings (Halving schedule)
+        uint256 epochPeriod; // duration of each Dutch auction epoch
+        uint256 priceMultiplier; // multiplier for next epoch's starting price
+        uint256 minInitPrice; // minimum starting price per epoch
+        uint256 previousMinerFee; // share of each payment sent to the previous miner (basis points)
+        uint256 teamFee; // share of each payment sent to the team (basis points)
+        uint256 protocolFee; // share of each payment sent to the protocol (basis points)
+        uint256 revealWindow; // reveal window for commit-reveal mode (0 to disable)
+        uint256 commitBond; // quote bond required per commitment in commit-reveal mode
+        uint256 adminDelay; // delay between queueing and executing treasury/team changes (1 - 30 days)
+        uint8 emissionSchedule; // 0 = Halving, 1 = Linear, 2 = Step
+        uint256 decayPeriod; // linear decay duration (Linear schedule)
+        uint256[] stepOffsets; // strictly increasing step offsets from startTime (Step schedule)
+        uint256[] stepUps; // units per second for each step (Step schedule)
+        uint256 maxSupply; // cap on Unit total supply including the LP seed (0 for uncapped)
+        uint8 priceCurve; // 0 = Linear, 1 = Exponential, 2 = LinearToFloor
+        uint256 priceHalfLife; // price half-life (Exponential curve)
+        uint256 priceFloor; // lowest price during an epoch, at most minInitPrice (Exponential/LinearToFloor)
+        bool priceFloorIsReserve; // keep the floor price after an epoch expires instead of dropping to 0
+    }
+
+    function deploy(bytes32 _salt, RigParams calldata _params) external returns (address);
+    function implementation() external view returns (address);
+    function predictAddress(address _deployer, bytes32 _salt) external view returns (address);
 }
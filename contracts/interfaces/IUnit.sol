@@ -9,4 +9,5 @@ pragma solidity 0.8.19;
 interface IUnit {
     function mint(address to, uint256 amount) external;
     function setRig(address _rig) external;
+    function burn(uint256 amount) external;
 }
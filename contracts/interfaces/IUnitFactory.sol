@@ -7,5 +7,10 @@ pragma solidity 0.8.19;
  * @notice Interface for the UnitFactory contract.
  */
 interface IUnitFactory {
-    function deploy(string calldata _tokenName, string calldata _tokenSymbol) external returns (address);
+    function deploy(bytes32 _salt, string calldata _tokenName, string calldata _tokenSymbol)
+        external
+        returns (address);
+    function tokenName() external view returns (string memory);
+    function tokenSymbol() external view returns (string memory);
+    function predictAddress(address _deployer, bytes32 _salt) external view returns (address);
 }
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title PriceCurve
+ * @author heesho
+ * @notice Dutch auction price curves shared by Rig and Auction.
+ * @dev Linear: initPrice decays linearly to 0 over epochPeriod.
+ *      Exponential: initPrice halves every halfLife (linearly interpolated within a half-life), never below floorPrice.
+ *      LinearToFloor: initPrice decays linearly to floorPrice over epochPeriod.
+ *      Once epochPeriod has passed the price is floorPrice if the floor is a reserve, otherwise 0.
+ *      Linear ignores floorPrice and reserve.
+ */
+library PriceCurve {
+    enum Curve {
+        Linear,
+        Exponential,
+        LinearToFloor
+    }
+
+    /**
+     * @notice Get the Dutch auction price after timePassed seconds of an epoch.
+     * @param curve Price curve type
+     * @param initPrice Starting price of the epoch
+     * @param timePassed Seconds since the epoch started
+     * @param epochPeriod Duration of the epoch
+     * @param halfLife Time for the price to halve (Exponential only)
+     * @param floorPrice Lowest price reached during the epoch (Exponential and LinearToFloor)
+     * @param reserve Whether floorPrice keeps applying after the epoch has expired
+     * @return Current price
+     */
+    function getPrice(
+        Curve curve,
+        uint256 initPrice,
+        uint256 timePassed,
+        uint256 epochPeriod,
+        uint256 halfLife,
+        uint256 floorPrice,
+        bool reserve
+    ) internal pure returns (uint256) {
+        if (curve == Curve.Linear) {
+            if (timePassed > epochPeriod) return 0;
+            return initPrice - initPrice * timePassed / epochPeriod;
+        }
+
+        if (timePassed > epochPeriod) return reserve ? floorPrice : 0;
+
+        if (curve == Curve.Exponential) {
+            uint256 halvings = timePassed / halfLife;
+            uint256 price = halvings > 255 ? 0 : initPrice >> halvings;
+            price -= price * (timePassed % halfLife) / (2 * halfLife);
+            return price < floorPrice ? floorPrice : price;
+        }
+
+        return initPrice - (initPrice - floorPrice) * timePassed / epochPeriod;
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title UriScheme
+ * @author heesho
+ * @notice URI scheme allowlist shared by Core and Rig.
+ * @dev Allowed schemes are ipfs://, ar:// and https://. Matching is case-sensitive.
+ */
+library UriScheme {
+    /**
+     * @notice Check whether a URI starts with an allowed scheme.
+     * @param uri URI to check
+     * @return True if uri starts with ipfs://, ar:// or https://
+     */
+    function isAllowed(bytes memory uri) internal pure returns (bool) {
+        return _hasPrefix(uri, "ipfs://") || _hasPrefix(uri, "ar://") || _hasPrefix(uri, "https://");
+    }
+
+    function _hasPrefix(bytes memory uri, bytes memory prefix) private pure returns (bool) {
+        if (uri.length < prefix.length) return false;
+        for (uint256 i = 0; i < prefix.length; i++) {
+            if (uri[i] != prefix[i]) return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract MockBlacklistToken is ERC20 {
+    mapping(address => bool) public isBlacklisted;
+    mapping(address => bool) public returnsMalformed;
+
+    constructor() ERC20("Mock USD", "MUSD") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function setBlacklisted(address account, bool blacklisted) external {
+        isBlacklisted[account] = blacklisted;
+    }
+
+    function setReturnsMalformed(address account, bool malformed) external {
+        returnsMalformed[account] = malformed;
+    }
+
+    // Transfers to a flagged recipient succeed without moving tokens and return 1 byte instead of a bool
+    function transfer(address to, uint256 amount) public override returns (bool) {
+        if (returnsMalformed[to]) {
+            assembly {
+                mstore(0, 1)
+                return(31, 1)
+            }
+        }
+        return super.transfer(to, amount);
+    }
+
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        require(!isBlacklisted[from] && !isBlacklisted[to], "MockBlacklistToken: blacklisted");
+        super._beforeTokenTransfer(from, to, amount);
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+contract MockETHRejecter {
+    // Forward a call with value; this contract has no receive function, so ETH sent back to it fails
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+contract MockPermitToken is ERC20, ERC20Permit {
+    constructor() ERC20("Mock Permit USD", "MPUSD") ERC20Permit("Mock Permit USD") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
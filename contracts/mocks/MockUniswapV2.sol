@@ -17,6 +17,19 @@ contract MockLP is ERC20 {
         _mint(to, amount);
     }
 
+    function burn(address tokenA, address tokenB, address to) external returns (uint256 amountA, uint256 amountB) {
+        uint256 liquidity = balanceOf(address(this));
+        amountA = liquidity * IERC20(tokenA).balanceOf(address(this)) / totalSupply();
+        amountB = liquidity * IERC20(tokenB).balanceOf(address(this)) / totalSupply();
+        _burn(address(this), liquidity);
+        IERC20(tokenA).transfer(to, amountA);
+        IERC20(tokenB).transfer(to, amountB);
+    }
+
+    function swap(address tokenOut, uint256 amountOut, address to) external {
+        IERC20(tokenOut).transfer(to, amountOut);
+    }
+
     function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast) {
         reserve0 = uint112(IERC20(token0).balanceOf(address(this)));
         reserve1 = uint112(IERC20(token1).balanceOf(address(this)));
@@ -77,15 +90,131 @@ contract MockUniswapV2Router {
             pair = MockUniswapV2Factory(factory).createPair(tokenA, tokenB);
         }
 
-        // Transfer tokens to pair
-        IERC20(tokenA).transferFrom(msg.sender, pair, amountADesired);
-        IERC20(tokenB).transferFrom(msg.sender, pair, amountBDesired);
+        // Deposit at the current reserve ratio once the pool is seeded, like the Uniswap V2 router
+        uint256 reserveA = IERC20(tokenA).balanceOf(pair);
+        uint256 reserveB = IERC20(tokenB).balanceOf(pair);
+        uint256 supply = IERC20(pair).totalSupply();
+        bool seeded = supply > 0 && reserveA > 0 && reserveB > 0;
+        (amountA, amountB) = (amountADesired, amountBDesired);
+        if (seeded) {
+            uint256 amountBOptimal = amountADesired * reserveB / reserveA;
+            if (amountBOptimal <= amountBDesired) {
+                require(amountBOptimal >= amountBMin, "INSUFFICIENT_B_AMOUNT");
+                amountB = amountBOptimal;
+            } else {
+                amountA = amountBDesired * reserveA / reserveB;
+                require(amountA >= amountAMin, "INSUFFICIENT_A_AMOUNT");
+            }
+        }
 
-        // Mint LP tokens (simplified - just use sqrt of product)
-        liquidity = sqrt(amountADesired * amountBDesired);
+        // Transfer tokens to pair
+        IERC20(tokenA).transferFrom(msg.sender, pair, amountA);
+        IERC20(tokenB).transferFrom(msg.sender, pair, amountB);
+
+        // Mint LP tokens (sqrt of product for the first deposit, pro-rata afterwards)
+        if (seeded) {
+            uint256 liquidityA = amountA * supply / reserveA;
+            uint256 liquidityB = amountB * supply / reserveB;
+            liquidity = liquidityA < liquidityB ? liquidityA : liquidityB;
+        } else {
+            liquidity = sqrt(amountA * amountB);
+        }
         MockLP(pair).mint(to, liquidity);
+    }
+
+    function removeLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) external returns (uint256 amountA, uint256 amountB) {
+        require(deadline >= block.timestamp, "EXPIRED");
+
+        address pair = MockUniswapV2Factory(factory).getPair(tokenA, tokenB);
+        require(pair != address(0), "NO_PAIR");
+
+        // Return LP to pair and burn it for a pro-rata share of both tokens
+        IERC20(pair).transferFrom(msg.sender, pair, liquidity);
+        (amountA, amountB) = MockLP(pair).burn(tokenA, tokenB, to);
+        require(amountA >= amountAMin, "INSUFFICIENT_A_AMOUNT");
+        require(amountB >= amountBMin, "INSUFFICIENT_B_AMOUNT");
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(deadline >= block.timestamp, "EXPIRED");
+
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "INSUFFICIENT_OUTPUT_AMOUNT");
 
-        return (amountADesired, amountBDesired, liquidity);
+        // Each hop pays the next pair (or the recipient on the last hop) out of the current pair
+        IERC20(path[0]).transferFrom(msg.sender, MockUniswapV2Factory(factory).getPair(path[0], path[1]), amountIn);
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            address pair = MockUniswapV2Factory(factory).getPair(path[i], path[i + 1]);
+            address recipient = i < path.length - 2 ? MockUniswapV2Factory(factory).getPair(path[i + 1], path[i + 2]) : to;
+            MockLP(pair).swap(path[i + 1], amounts[i + 1], recipient);
+        }
+    }
+
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(deadline >= block.timestamp, "EXPIRED");
+
+        amounts = getAmountsIn(amountOut, path);
+        require(amounts[0] <= amountInMax, "EXCESSIVE_INPUT_AMOUNT");
+
+        IERC20(path[0]).transferFrom(msg.sender, MockUniswapV2Factory(factory).getPair(path[0], path[1]), amounts[0]);
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            address pair = MockUniswapV2Factory(factory).getPair(path[i], path[i + 1]);
+            address recipient = i < path.length - 2 ? MockUniswapV2Factory(factory).getPair(path[i + 1], path[i + 2]) : to;
+            MockLP(pair).swap(path[i + 1], amounts[i + 1], recipient);
+        }
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "INVALID_PATH");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            address pair = MockUniswapV2Factory(factory).getPair(path[i], path[i + 1]);
+            require(pair != address(0), "NO_PAIR");
+            uint256 reserveIn = IERC20(path[i]).balanceOf(pair);
+            uint256 reserveOut = IERC20(path[i + 1]).balanceOf(pair);
+            require(reserveIn > 0 && reserveOut > 0, "INSUFFICIENT_LIQUIDITY");
+
+            // Constant product with the 0.3% Uniswap V2 fee
+            uint256 amountInWithFee = amounts[i] * 997;
+            amounts[i + 1] = amountInWithFee * reserveOut / (reserveIn * 1000 + amountInWithFee);
+        }
+    }
+
+    function getAmountsIn(uint256 amountOut, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "INVALID_PATH");
+        amounts = new uint256[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            address pair = MockUniswapV2Factory(factory).getPair(path[i - 1], path[i]);
+            require(pair != address(0), "NO_PAIR");
+            uint256 reserveIn = IERC20(path[i - 1]).balanceOf(pair);
+            uint256 reserveOut = IERC20(path[i]).balanceOf(pair);
+            require(reserveIn > 0 && reserveOut > amounts[i], "INSUFFICIENT_LIQUIDITY");
+
+            // Inverse of getAmountsOut, rounded up
+            amounts[i - 1] = reserveIn * amounts[i] * 1000 / ((reserveOut - amounts[i]) * 997) + 1;
+        }
     }
 
     function sqrt(uint256 y) internal pure returns (uint256 z) {
@@ -385,11 +385,18 @@ async function setMinDonutForLaunch(amount) {
   console.log("Min DONUT updated");
 }
 
+async function setMulticall(address) {
+  console.log("Setting Multicall to:", address);
+  const tx = await core.setMulticall(address);
+  await tx.wait();
+  console.log("Multicall updated");
+}
+
 async function transferCoreOwnership(newOwner) {
   console.log("Transferring Core ownership to:", newOwner);
   const tx = await core.transferOwnership(newOwner);
   await tx.wait();
-  console.log("Core ownership transferred");
+  console.log("Core ownership transfer started (new owner must call acceptOwnership)");
 }
 
 // =============================================================================
@@ -522,6 +529,8 @@ async function main() {
   // await setMinDonutForLaunch(MIN_DONUT_FOR_LAUNCH);
   // console.log("Min DONUT for Launch updated");
 
+  // await setMulticall(multicall?.address || MULTICALL);
+
   //===================================================================
   // 4. Transfer Ownership (optional)
   //===================================================================
@@ -20,9 +20,8 @@ async function ensureDonut(user, amount = convert("20", 18)) {
   }
 }
 
-// Helper to get a fresh rig for isolated tests
-async function launchFreshRig(launcher, params = {}) {
-  await ensureDonut(launcher, convert("20", 18));
+// Helper to build launch params with defaults
+function getLaunchParams(launcher, params = {}) {
   const defaultParams = {
     launcher: launcher.address,
     tokenName: "Test Unit",
@@ -40,11 +39,45 @@ async function launchFreshRig(launcher, params = {}) {
     auctionEpochPeriod: 86400,
     auctionPriceMultiplier: convert("1.2", 18),
     auctionMinInitPrice: convert("0.001", 18),
+    auctionPriceCurve: 0,
+    auctionPriceHalfLife: 0,
+    auctionPriceFloor: 0,
+    auctionPriceFloorIsReserve: false,
+    auctionReservePrice: 0,
+    auctionRestartOnExpiry: false,
+    auctionPaymentMode: 0,
+    auctionPaymentReceiver: ethers.constants.AddressZero,
+    quoteToken: weth.address,
+    previousMinerFee: 8000,
+    teamFee: 400,
+    protocolFee: 100,
+    rigRevealWindow: 0,
+    rigCommitBond: 0,
+    rigPriceCurve: 0,
+    rigPriceHalfLife: 0,
+    rigPriceFloor: 0,
+    rigPriceFloorIsReserve: false,
+    rigAdminDelay: 86400,
+    emissionSchedule: 0,
+    decayPeriod: 0,
+    emissionStepOffsets: [],
+    emissionStepUps: [],
+    maxSupply: 0,
+    salt: ethers.constants.HashZero,
   };
 
-  const launchParams = { ...defaultParams, ...params };
-  await donut.connect(launcher).approve(core.address, launchParams.donutAmount);
-  const tx = await core.connect(launcher).launch(launchParams);
+  return { ...defaultParams, ...params };
+}
+
+// Helper to get a fresh rig for isolated tests (pays the current launch fee, if any)
+async function launchFreshRig(launcher, params = {}) {
+  await ensureDonut(launcher, convert("20", 18));
+  const launchParams = getLaunchParams(launcher, params);
+  const [feeToken, fee] = await core.getLaunchFee();
+  const donutFee = feeToken === donut.address ? fee : 0;
+  const ethFee = feeToken === AddressZero ? fee : 0;
+  await donut.connect(launcher).approve(core.address, ethers.BigNumber.from(launchParams.donutAmount).add(donutFee));
+  const tx = await core.connect(launcher).launch(launchParams, { value: ethFee });
   const receipt = await tx.wait();
   const launchEvent = receipt.events.find((e) => e.event === "Core__Launched");
 
@@ -79,6 +112,29 @@ async function mineRig(rigAddress, miner, rigRecipient = null) {
   return tx;
 }
 
+// Helper to mine a DONUT-quoted rig
+async function mineRigWithDonut(rigAddress, miner) {
+  const rigContract = await ethers.getContractAt("Rig", rigAddress);
+  const epochId = await rigContract.epochId();
+  const price = await rigContract.getPrice();
+  const deadline = await getFutureDeadline();
+
+  await ensureDonut(miner);
+  await donut.connect(miner).approve(rigAddress, price.mul(2));
+
+  return rigContract.connect(miner).mine(miner.address, epochId, deadline, price.mul(2), "");
+}
+
+// Helper to deploy a standalone Unit through a fresh UnitFactory (deployer becomes the rig)
+async function deployFreshUnit(deployer, name, symbol) {
+  const unitFactoryArtifact = await ethers.getContractFactory("UnitFactory");
+  const freshFactory = await unitFactoryArtifact.deploy();
+  const salt = ethers.constants.HashZero;
+  const unitAddress = await freshFactory.predictAddress(deployer.address, salt);
+  await freshFactory.connect(deployer).deploy(salt, name, symbol);
+  return ethers.getContractAt("Unit", unitAddress);
+}
+
 describe("Business Logic Tests", function () {
   before("Initial set up", async function () {
     // Reset network state for test isolation
@@ -128,6 +184,7 @@ describe("Business Logic Tests", function () {
     // Deploy Multicall
     const multicallArtifact = await ethers.getContractFactory("Multicall");
     multicall = await multicallArtifact.deploy(core.address, weth.address, donut.address);
+    await core.setMulticall(multicall.address);
 
     // Mint DONUT to users for launching (need enough for many rigs at 500 each)
     // Each user gets 100 ETH worth of DONUT for extensive testing
@@ -363,12 +420,14 @@ describe("Business Logic Tests", function () {
     it("Team fee redirects to treasury when team is address(0)", async function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
 
+      // Set team to address(0)
+      await rigContract.connect(user0).queueTeam(AddressZero);
+      await network.provider.send("evm_increaseTime", [86400]);
+      await rigContract.connect(user0).executeTeam();
+
       // First mine to set up a previous miner
       await mineRig(testRig, user1);
 
-      // Set team to address(0)
-      await rigContract.connect(user0).setTeam(AddressZero);
-
       // Get balances before
       const treasuryBefore = await weth.balanceOf(testAuction);
 
@@ -452,6 +511,498 @@ describe("Business Logic Tests", function () {
     });
   });
 
+  // ============================================
+  // CONFIGURABLE FEE SPLIT
+  // ============================================
+  describe("Configurable Fee Split", function () {
+    it("Custom 70/10/1/19 split is stored and distributed", async function () {
+      const result = await launchFreshRig(user0, { previousMinerFee: 7000, teamFee: 1000, protocolFee: 100 });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+
+      expect(await rigContract.previousMinerFee()).to.equal(7000);
+      expect(await rigContract.teamFee()).to.equal(1000);
+      expect(await rigContract.protocolFee()).to.equal(100);
+
+      await mineRig(result.rig, user1);
+
+      const prevBefore = await weth.balanceOf(user1.address);
+      const treasuryBefore = await weth.balanceOf(result.auction);
+      const teamBefore = await weth.balanceOf(user0.address);
+      const protocolBefore = await weth.balanceOf(protocol.address);
+
+      const tx = await mineRig(result.rig, user2);
+      const receipt = await tx.wait();
+      const price = receipt.events.find((e) => e.event === "Rig__Mined").args.price;
+
+      expect((await weth.balanceOf(user1.address)).sub(prevBefore)).to.equal(price.mul(7000).div(10000));
+      expect((await weth.balanceOf(user0.address)).sub(teamBefore)).to.equal(price.mul(1000).div(10000));
+      expect((await weth.balanceOf(protocol.address)).sub(protocolBefore)).to.equal(price.mul(100).div(10000));
+      expect((await weth.balanceOf(result.auction)).sub(treasuryBefore)).to.equal(
+        price.sub(price.mul(7000).div(10000)).sub(price.mul(1000).div(10000)).sub(price.mul(100).div(10000))
+      );
+    });
+
+    it("Reverts when protocol fee is below Core floor", async function () {
+      await expect(launchFreshRig(user0, { protocolFee: 50 })).to.be.revertedWith("Core__ProtocolFeeBelowMin()");
+    });
+
+    it("Reverts when team fee is above Core ceiling", async function () {
+      await expect(launchFreshRig(user0, { teamFee: 1001 })).to.be.revertedWith("Core__TeamFeeAboveMax()");
+    });
+
+    it("Reverts when fees exceed 100%", async function () {
+      await expect(
+        launchFreshRig(user0, { previousMinerFee: 9500, teamFee: 400, protocolFee: 200 })
+      ).to.be.revertedWith("Rig__InvalidFeeSplit()");
+    });
+
+    it("Only owner can update fee bounds", async function () {
+      await expect(core.connect(user0).setMinProtocolFee(0)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(core.connect(user0).setMaxTeamFee(2000)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(core.connect(owner).setMaxTeamFee(10001)).to.be.revertedWith("Core__InvalidFee()");
+
+      await expect(core.connect(owner).setMaxTeamFee(2000)).to.emit(core, "Core__MaxTeamFeeSet").withArgs(2000);
+      const result = await launchFreshRig(user0, { previousMinerFee: 7000, teamFee: 2000 });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      expect(await rigContract.teamFee()).to.equal(2000);
+
+      await core.connect(owner).setMaxTeamFee(1000);
+    });
+
+    it("Multicall getRig exposes the fee split", async function () {
+      const result = await launchFreshRig(user0, { previousMinerFee: 7000, teamFee: 1000, protocolFee: 100 });
+      const state = await multicall.getRig(result.rig, AddressZero);
+
+      expect(state.previousMinerFee).to.equal(7000);
+      expect(state.teamFee).to.equal(1000);
+      expect(state.protocolFee).to.equal(100);
+      expect(state.treasuryFee).to.equal(1900);
+    });
+  });
+
+  // ============================================
+  // FAILED FEE TRANSFERS
+  // ============================================
+  describe("Failed Fee Transfers", function () {
+    let token, testRig, rigContract;
+
+    async function mineWithToken(miner) {
+      const epochId = await rigContract.epochId();
+      const price = await rigContract.getPrice();
+      await token.mint(miner.address, price);
+      await token.connect(miner).approve(testRig, price);
+      return rigContract.connect(miner).mine(miner.address, epochId, await getFutureDeadline(), price, "");
+    }
+
+    beforeEach(async function () {
+      const tokenArtifact = await ethers.getContractFactory("MockBlacklistToken");
+      token = await tokenArtifact.deploy();
+      await core.connect(owner).setQuoteToken(token.address, true);
+
+      const result = await launchFreshRig(user0, { quoteToken: token.address });
+      testRig = result.rig;
+      rigContract = await ethers.getContractAt("Rig", testRig);
+    });
+
+    it("Blacklisted previous miner is credited instead of blocking mining", async function () {
+      await mineWithToken(user1);
+      await token.setBlacklisted(user1.address, true);
+
+      const tx = await mineWithToken(user2);
+      const receipt = await tx.wait();
+      const price = receipt.events.find((e) => e.event === "Rig__Mined").args.price;
+      const expected = price.mul(8000).div(10000);
+
+      await expect(tx).to.emit(rigContract, "Rig__FeeCredited").withArgs(user1.address, expected);
+      expect(await rigContract.epochMiner()).to.equal(user2.address);
+      expect(await rigContract.claimable(user1.address)).to.equal(expected);
+      expect(await token.balanceOf(testRig)).to.equal(expected);
+    });
+
+    it("Credited fees can be claimed once the recipient can receive", async function () {
+      await mineWithToken(user1);
+      await token.setBlacklisted(user1.address, true);
+      await mineWithToken(user2);
+
+      const owed = await rigContract.claimable(user1.address);
+      await expect(rigContract.connect(user1).claim(user1.address)).to.be.revertedWith("MockBlacklistToken: blacklisted");
+
+      await token.setBlacklisted(user1.address, false);
+      const before = await token.balanceOf(user1.address);
+      await expect(rigContract.connect(user1).claim(user1.address))
+        .to.emit(rigContract, "Rig__Claimed")
+        .withArgs(user1.address, owed);
+
+      expect((await token.balanceOf(user1.address)).sub(before)).to.equal(owed);
+      expect(await rigContract.claimable(user1.address)).to.equal(0);
+      await expect(rigContract.connect(user1).claim(user1.address)).to.be.revertedWith("Rig__NothingToClaim()");
+    });
+
+    it("Failed team and protocol transfers are credited", async function () {
+      await mineWithToken(user1);
+      await token.setBlacklisted(user0.address, true);
+      await token.setBlacklisted(protocol.address, true);
+
+      const tx = await mineWithToken(user2);
+      const receipt = await tx.wait();
+      const price = receipt.events.find((e) => e.event === "Rig__Mined").args.price;
+
+      expect(await rigContract.claimable(user0.address)).to.equal(price.mul(400).div(10000));
+      expect(await rigContract.claimable(protocol.address)).to.equal(price.mul(100).div(10000));
+      expect(await rigContract.claimable(user1.address)).to.equal(0);
+
+      const state = await multicall.getRig(testRig, user0.address);
+      expect(state.claimable).to.equal(price.mul(400).div(10000));
+    });
+
+    it("Malformed transfer return data is credited instead of blocking mining", async function () {
+      await mineWithToken(user1);
+      await token.setReturnsMalformed(user1.address, true);
+
+      const tx = await mineWithToken(user2);
+      const price = (await tx.wait()).events.find((e) => e.event === "Rig__Mined").args.price;
+      const expected = price.mul(8000).div(10000);
+
+      await expect(tx).to.emit(rigContract, "Rig__FeeCredited").withArgs(user1.address, expected);
+      expect(await rigContract.epochMiner()).to.equal(user2.address);
+      expect(await rigContract.claimable(user1.address)).to.equal(expected);
+    });
+
+    it("Failed treasury transfer is credited", async function () {
+      const auctionAddr = await rigContract.treasury();
+      await mineWithToken(user1);
+      await token.setBlacklisted(auctionAddr, true);
+
+      await mineWithToken(user2);
+      const owed = await rigContract.claimable(auctionAddr);
+      expect(owed).to.be.gt(0);
+
+      // Anyone can push the credit to the treasury once it can receive again
+      await token.setBlacklisted(auctionAddr, false);
+      const before = await token.balanceOf(auctionAddr);
+      await rigContract.connect(user3).claim(auctionAddr);
+      expect((await token.balanceOf(auctionAddr)).sub(before)).to.equal(owed);
+    });
+  });
+
+  // ============================================
+  // SIGNED MINING ORDERS
+  // ============================================
+  describe("Signed Mining Orders", function () {
+    let testRig, rigContract;
+
+    const MineOrder = [
+      { name: "signer", type: "address" },
+      { name: "miner", type: "address" },
+      { name: "epochId", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+      { name: "maxPrice", type: "uint256" },
+      { name: "epochUri", type: "string" },
+      { name: "nonce", type: "uint256" },
+    ];
+
+    async function signOrder(signer, rigAddress, order) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "Rig", version: "1", chainId, verifyingContract: rigAddress };
+      return signer._signTypedData(domain, { MineOrder }, order);
+    }
+
+    async function buildOrder(signer, miner, rigAddress) {
+      const contract = await ethers.getContractAt("Rig", rigAddress);
+      return {
+        signer: signer.address,
+        miner: miner.address,
+        epochId: await contract.epochId(),
+        deadline: await getFutureDeadline(),
+        maxPrice: (await contract.getPrice()).mul(2),
+        epochUri: "ipfs://order",
+        nonce: await contract.nonces(signer.address),
+      };
+    }
+
+    beforeEach(async function () {
+      const result = await launchFreshRig(user0);
+      testRig = result.rig;
+      rigContract = await ethers.getContractAt("Rig", testRig);
+    });
+
+    it("Relayer submits a signed order paid by the signer", async function () {
+      await weth.connect(user1).deposit({ value: convert("1", 18) });
+      await weth.connect(user1).approve(testRig, convert("1", 18));
+
+      const order = await buildOrder(user1, user2, testRig);
+      const signature = await signOrder(user1, testRig, order);
+
+      const signerBefore = await weth.balanceOf(user1.address);
+      const relayerBefore = await weth.balanceOf(user3.address);
+
+      await expect(
+        rigContract
+          .connect(user3)
+          .mineWithSig(order.signer, order.miner, order.epochId, order.deadline, order.maxPrice, order.epochUri, signature)
+      )
+        .to.emit(rigContract, "Rig__NonceUsed")
+        .withArgs(user1.address, 0);
+
+      expect(await rigContract.epochMiner()).to.equal(user2.address);
+      expect(await rigContract.epochUri()).to.equal("ipfs://order");
+      expect(await rigContract.nonces(user1.address)).to.equal(1);
+      expect(await weth.balanceOf(user1.address)).to.be.lt(signerBefore);
+      expect(await weth.balanceOf(user3.address)).to.equal(relayerBefore);
+    });
+
+    it("Signed order cannot be replayed", async function () {
+      await weth.connect(user1).deposit({ value: convert("1", 18) });
+      await weth.connect(user1).approve(testRig, convert("1", 18));
+
+      const order = await buildOrder(user1, user1, testRig);
+      const signature = await signOrder(user1, testRig, order);
+      const args = [order.signer, order.miner, order.epochId, order.deadline, order.maxPrice, order.epochUri, signature];
+
+      await rigContract.connect(user3).mineWithSig(...args);
+      await expect(rigContract.connect(user3).mineWithSig(...args)).to.be.revertedWith("Rig__InvalidSignature()");
+    });
+
+    it("Reverts when the order is altered or signed by someone else", async function () {
+      const order = await buildOrder(user1, user1, testRig);
+      const signature = await signOrder(user2, testRig, order);
+
+      await expect(
+        rigContract
+          .connect(user3)
+          .mineWithSig(order.signer, order.miner, order.epochId, order.deadline, order.maxPrice, order.epochUri, signature)
+      ).to.be.revertedWith("Rig__InvalidSignature()");
+
+      const validSignature = await signOrder(user1, testRig, order);
+      await expect(
+        rigContract
+          .connect(user3)
+          .mineWithSig(order.signer, user3.address, order.epochId, order.deadline, order.maxPrice, order.epochUri, validSignature)
+      ).to.be.revertedWith("Rig__InvalidSignature()");
+    });
+
+    it("incrementNonce cancels outstanding orders", async function () {
+      const order = await buildOrder(user1, user1, testRig);
+      const signature = await signOrder(user1, testRig, order);
+
+      await rigContract.connect(user1).incrementNonce();
+
+      await expect(
+        rigContract
+          .connect(user3)
+          .mineWithSig(order.signer, order.miner, order.epochId, order.deadline, order.maxPrice, order.epochUri, signature)
+      ).to.be.revertedWith("Rig__InvalidSignature()");
+    });
+
+    it("Multicall.mineFor applies a permit and relays the order", async function () {
+      const tokenArtifact = await ethers.getContractFactory("MockPermitToken");
+      const token = await tokenArtifact.deploy();
+      await core.connect(owner).setQuoteToken(token.address, true);
+
+      const result = await launchFreshRig(user0, { quoteToken: token.address });
+      const contract = await ethers.getContractAt("Rig", result.rig);
+      await token.mint(user1.address, convert("1", 18));
+
+      const order = await buildOrder(user1, user1, result.rig);
+      const signature = await signOrder(user1, result.rig, order);
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const permitDeadline = await getFutureDeadline();
+      const permitSig = ethers.utils.splitSignature(
+        await user1._signTypedData(
+          { name: "Mock Permit USD", version: "1", chainId, verifyingContract: token.address },
+          {
+            Permit: [
+              { name: "owner", type: "address" },
+              { name: "spender", type: "address" },
+              { name: "value", type: "uint256" },
+              { name: "nonce", type: "uint256" },
+              { name: "deadline", type: "uint256" },
+            ],
+          },
+          { owner: user1.address, spender: result.rig, value: order.maxPrice, nonce: 0, deadline: permitDeadline }
+        )
+      );
+
+      await multicall
+        .connect(user3)
+        .mineFor(
+          result.rig,
+          order.signer,
+          order.miner,
+          order.epochId,
+          order.deadline,
+          order.maxPrice,
+          order.epochUri,
+          signature,
+          { value: order.maxPrice, deadline: permitDeadline, v: permitSig.v, r: permitSig.r, s: permitSig.s }
+        );
+
+      expect(await contract.epochMiner()).to.equal(user1.address);
+      expect(await token.balanceOf(user1.address)).to.be.lt(convert("1", 18));
+    });
+  });
+
+  // ============================================
+  // COMMIT-REVEAL MINING
+  // ============================================
+  describe("Commit-Reveal Mining", function () {
+    const bond = convert("0.01", 18);
+    const salt = ethers.utils.formatBytes32String("salt");
+    let testRig, testAuction, rigContract;
+
+    function commitHash(miner, maxPrice, epochUri, commitSalt = salt) {
+      return ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(
+          ["address", "uint256", "bytes32", "bytes32"],
+          [miner, maxPrice, ethers.utils.keccak256(ethers.utils.toUtf8Bytes(epochUri)), commitSalt]
+        )
+      );
+    }
+
+    async function fund(user) {
+      await weth.connect(user).deposit({ value: convert("2", 18) });
+      await weth.connect(user).approve(testRig, convert("2", 18));
+    }
+
+    beforeEach(async function () {
+      const result = await launchFreshRig(user0, { rigRevealWindow: 300, rigCommitBond: bond });
+      testRig = result.rig;
+      testAuction = result.auction;
+      rigContract = await ethers.getContractAt("Rig", testRig);
+    });
+
+    it("Direct mining is disabled in commit-reveal mode", async function () {
+      await fund(user1);
+      const epochId = await rigContract.epochId();
+      await expect(
+        rigContract.connect(user1).mine(user1.address, epochId, await getFutureDeadline(), convert("1", 18), "")
+      ).to.be.revertedWith("Rig__CommitRevealRequired()");
+    });
+
+    it("Reveal mines at the price locked at commit time", async function () {
+      await fund(user1);
+      const maxPrice = convert("1", 18);
+      const tx = await rigContract.connect(user1).commit(commitHash(user1.address, maxPrice, "ipfs://sealed"));
+      const committedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+
+      await network.provider.send("evm_increaseTime", [120]);
+      await network.provider.send("evm_mine");
+
+      const initPrice = await rigContract.epochInitPrice();
+      const startTime = await rigContract.epochStartTime();
+      const epochPeriod = await rigContract.epochPeriod();
+      const expectedPrice = initPrice.sub(initPrice.mul(startTime.mul(-1).add(committedAt)).div(epochPeriod));
+
+      const wethBefore = await weth.balanceOf(user1.address);
+      await expect(rigContract.connect(user1).reveal(user1.address, maxPrice, "ipfs://sealed", salt))
+        .to.emit(rigContract, "Rig__Mined")
+        .withArgs(user1.address, user1.address, expectedPrice, "ipfs://sealed");
+
+      // Paid the committed price; bond was returned
+      expect((await weth.balanceOf(user1.address)).sub(wethBefore)).to.equal(bond.sub(expectedPrice));
+      expect(await rigContract.epochMiner()).to.equal(user1.address);
+      expect((await rigContract.commitments(user1.address)).commitHash).to.equal(ethers.constants.HashZero);
+    });
+
+    it("Reveal in the same block as the commit reverts", async function () {
+      await fund(user1);
+      const maxPrice = convert("1", 18);
+
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        await rigContract.connect(user1).commit(commitHash(user1.address, maxPrice, ""), { gasLimit: 500_000 });
+        const revealTx = await rigContract
+          .connect(user1)
+          .reveal(user1.address, maxPrice, "", salt, { gasLimit: 1_000_000 });
+        await network.provider.send("evm_mine");
+        await expect(revealTx.wait()).to.be.reverted;
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+
+      // The commit landed but the reveal did not; it succeeds from the next block on
+      expect(await rigContract.epochId()).to.equal(0);
+      expect((await rigContract.commitments(user1.address)).commitHash).to.not.equal(ethers.constants.HashZero);
+      await expect(rigContract.connect(user1).reveal(user1.address, maxPrice, "", salt)).to.emit(
+        rigContract,
+        "Rig__Mined"
+      );
+    });
+
+    it("Earliest reveal wins and the loser recovers the bond", async function () {
+      await fund(user1);
+      await fund(user2);
+      const maxPrice = convert("1", 18);
+
+      await rigContract.connect(user1).commit(commitHash(user1.address, maxPrice, ""));
+      await rigContract.connect(user2).commit(commitHash(user2.address, maxPrice, ""));
+
+      await rigContract.connect(user2).reveal(user2.address, maxPrice, "", salt);
+      await expect(rigContract.connect(user1).reveal(user1.address, maxPrice, "", salt)).to.be.revertedWith(
+        "Rig__EpochIdMismatch()"
+      );
+
+      const before = await weth.balanceOf(user1.address);
+      await expect(rigContract.connect(user1).clearCommitment())
+        .to.emit(rigContract, "Rig__BondRefunded")
+        .withArgs(user1.address, bond);
+      expect((await weth.balanceOf(user1.address)).sub(before)).to.equal(bond);
+    });
+
+    it("Reveal must match the commitment", async function () {
+      await fund(user1);
+      const maxPrice = convert("1", 18);
+      await rigContract.connect(user1).commit(commitHash(user1.address, maxPrice, ""));
+
+      await expect(rigContract.connect(user1).reveal(user2.address, maxPrice, "", salt)).to.be.revertedWith(
+        "Rig__InvalidReveal()"
+      );
+      await expect(rigContract.connect(user2).reveal(user1.address, maxPrice, "", salt)).to.be.revertedWith(
+        "Rig__NoCommitment()"
+      );
+      await expect(rigContract.connect(user1).commit(commitHash(user1.address, maxPrice, ""))).to.be.revertedWith(
+        "Rig__CommitmentExists()"
+      );
+    });
+
+    it("Bond is forfeited to treasury when the reveal window lapses", async function () {
+      await fund(user1);
+      const maxPrice = convert("1", 18);
+      await rigContract.connect(user1).commit(commitHash(user1.address, maxPrice, ""));
+
+      await expect(rigContract.connect(user1).clearCommitment()).to.be.revertedWith("Rig__CommitmentActive()");
+
+      await network.provider.send("evm_increaseTime", [301]);
+      await network.provider.send("evm_mine");
+
+      await expect(rigContract.connect(user1).reveal(user1.address, maxPrice, "", salt)).to.be.revertedWith(
+        "Rig__Expired()"
+      );
+
+      const treasuryBefore = await weth.balanceOf(testAuction);
+      await expect(rigContract.connect(user1).clearCommitment())
+        .to.emit(rigContract, "Rig__BondForfeited")
+        .withArgs(user1.address, bond);
+      expect((await weth.balanceOf(testAuction)).sub(treasuryBefore)).to.equal(bond);
+    });
+
+    it("Commit is rejected on rigs without commit-reveal", async function () {
+      const result = await launchFreshRig(user0);
+      const directRig = await ethers.getContractAt("Rig", result.rig);
+      await expect(directRig.connect(user1).commit(commitHash(user1.address, 1, ""))).to.be.revertedWith(
+        "Rig__CommitRevealDisabled()"
+      );
+    });
+
+    it("Reverts launch with reveal window out of range", async function () {
+      await expect(launchFreshRig(user0, { rigRevealWindow: 30 })).to.be.revertedWith("Rig__InvalidRevealWindow()");
+      await expect(launchFreshRig(user0, { rigRevealWindow: 86401 })).to.be.revertedWith(
+        "Rig__InvalidRevealWindow()"
+      );
+    });
+  });
+
   // ============================================
   // RIG FRONTRUN PROTECTION
   // ============================================
@@ -627,63 +1178,331 @@ describe("Business Logic Tests", function () {
   });
 
   // ============================================
-  // AUCTION TESTS
+  // EMISSION SCHEDULES
   // ============================================
-  describe("Auction Contract", function () {
-    let testRig, testAuction, testLpToken;
+  describe("Emission Schedules", function () {
+    const DAY = 86400;
 
-    beforeEach(async function () {
-      const result = await launchFreshRig(user0, {
-        auctionInitPrice: convert("100", 18),
-        auctionEpochPeriod: 3600,
-        auctionMinInitPrice: convert("1", 18),
-      });
-      testRig = result.rig;
-      testAuction = result.auction;
-      testLpToken = result.lpToken;
+    async function advance(seconds) {
+      await network.provider.send("evm_increaseTime", [seconds]);
+      await network.provider.send("evm_mine");
+    }
 
-      // Send some WETH to auction (simulating treasury fees)
-      await weth.connect(user1).deposit({ value: convert("10", 18) });
-      await weth.connect(user1).transfer(testAuction, convert("5", 18));
+    it("Halving remains the default schedule", async function () {
+      const result = await launchFreshRig(user0);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+
+      expect(await rigContract.emissionSchedule()).to.equal(0);
+      expect(await rigContract.getEmissionSteps()).to.be.empty;
+      expect(await rigContract.getUps()).to.equal(convert("4", 18));
     });
 
-    it("Auction price decays linearly", async function () {
-      const auctionContract = await ethers.getContractAt("Auction", testAuction);
-      const initPrice = await auctionContract.initPrice();
+    it("Linear schedule decays to tailUps over decayPeriod", async function () {
+      const result = await launchFreshRig(user0, { emissionSchedule: 1, decayPeriod: 10 * DAY });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const initialUps = convert("4", 18);
+      const tailUps = convert("0.01", 18);
+      const startTime = await rigContract.startTime();
 
-      // At start
-      let price = await auctionContract.getPrice();
-      expect(price).to.be.closeTo(initPrice, initPrice.div(100));
+      await advance(5 * DAY);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const expected = initialUps.sub(initialUps.sub(tailUps).mul(startTime.mul(-1).add(now)).div(10 * DAY));
+      expect(await rigContract.getUps()).to.equal(expected);
 
-      // At 50%
-      await network.provider.send("evm_increaseTime", [1800]);
-      await network.provider.send("evm_mine");
-      price = await auctionContract.getPrice();
-      expect(price).to.be.closeTo(initPrice.div(2), initPrice.div(20));
+      await advance(5 * DAY);
+      expect(await rigContract.getUps()).to.equal(tailUps);
 
-      // After epoch
-      await network.provider.send("evm_increaseTime", [2000]);
-      await network.provider.send("evm_mine");
-      price = await auctionContract.getPrice();
-      expect(price).to.equal(0);
+      const state = await multicall.getRig(result.rig, AddressZero);
+      expect(state.emissionSchedule).to.equal(1);
+      expect(state.nextUps).to.equal(tailUps);
     });
 
-    it("Buy transfers all accumulated WETH to buyer", async function () {
-      const auctionContract = await ethers.getContractAt("Auction", testAuction);
+    it("Step schedule follows the step table", async function () {
+      const result = await launchFreshRig(user0, {
+        emissionSchedule: 2,
+        emissionStepOffsets: [DAY, 2 * DAY],
+        emissionStepUps: [convert("2", 18), convert("1", 18)],
+      });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
 
-      // Fast forward to zero price
-      await network.provider.send("evm_increaseTime", [3700]);
-      await network.provider.send("evm_mine");
+      const steps = await rigContract.getEmissionSteps();
+      expect(steps.length).to.equal(2);
+      expect(steps[0].offset).to.equal(DAY);
+      expect(steps[1].ups).to.equal(convert("1", 18));
 
-      const auctionWethBefore = await weth.balanceOf(testAuction);
-      const user2WethBefore = await weth.balanceOf(user2.address);
+      expect(await rigContract.getUps()).to.equal(convert("4", 18));
+      await advance(DAY);
+      expect(await rigContract.getUps()).to.equal(convert("2", 18));
+      await advance(DAY);
+      expect(await rigContract.getUps()).to.equal(convert("1", 18));
 
-      expect(auctionWethBefore).to.be.gt(0);
+      // New epochs use the scheduled rate
+      await mineRig(result.rig, user1);
+      expect(await rigContract.epochUps()).to.equal(convert("1", 18));
+    });
 
-      const epochId = await auctionContract.epochId();
-      const deadline = await getFutureDeadline();
+    it("Reverts with invalid schedule parameters", async function () {
+      await expect(launchFreshRig(user0, { emissionSchedule: 3 })).to.be.revertedWith(
+        "Rig__InvalidEmissionSchedule()"
+      );
+      await expect(launchFreshRig(user0, { emissionSchedule: 1, decayPeriod: DAY - 1 })).to.be.revertedWith(
+        "Rig__DecayPeriodBelowMin()"
+      );
+      await expect(launchFreshRig(user0, { emissionSchedule: 2 })).to.be.revertedWith(
+        "Rig__InvalidEmissionSteps()"
+      );
+      await expect(
+        launchFreshRig(user0, {
+          emissionSchedule: 2,
+          emissionStepOffsets: [2 * DAY, DAY],
+          emissionStepUps: [convert("2", 18), convert("1", 18)],
+        })
+      ).to.be.revertedWith("Rig__InvalidEmissionSteps()");
+      await expect(
+        launchFreshRig(user0, {
+          emissionSchedule: 2,
+          emissionStepOffsets: [DAY],
+          emissionStepUps: [convert("0.001", 18)],
+        })
+      ).to.be.revertedWith("Rig__InvalidEmissionSteps()");
+    });
 
-      // Buy at zero price
+    it("Halving period is only validated for the Halving schedule", async function () {
+      const result = await launchFreshRig(user0, { emissionSchedule: 1, decayPeriod: DAY, halvingPeriod: 0 });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      expect(await rigContract.emissionSchedule()).to.equal(1);
+    });
+  });
+
+  describe("Supply Cap", function () {
+    it("Uncapped rigs report unlimited remaining supply", async function () {
+      const result = await launchFreshRig(user0);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+
+      expect(await rigContract.maxSupply()).to.equal(0);
+      expect(await rigContract.getRemainingSupply()).to.equal(ethers.constants.MaxUint256);
+    });
+
+    it("Clamps minted amount to the cap and keeps auctioning", async function () {
+      const unitAmount = convert("1000000", 18);
+      const maxSupply = unitAmount.add(convert("100", 18));
+      const result = await launchFreshRig(user0, { unitAmount, maxSupply });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const unitContract = await ethers.getContractAt("Unit", result.unit);
+
+      expect(await rigContract.initialSupply()).to.equal(unitAmount);
+      expect(await rigContract.getRemainingSupply()).to.equal(convert("100", 18));
+
+      await mineRig(result.rig, user1);
+      await network.provider.send("evm_increaseTime", [100]);
+      await network.provider.send("evm_mine");
+
+      // 4 ups over 100s would exceed the remaining 100 tokens
+      let state = await multicall.getRig(result.rig, AddressZero);
+      expect(state.maxSupply).to.equal(maxSupply);
+      expect(state.glazed).to.equal(state.remainingSupply);
+
+      await mineRig(result.rig, user2);
+      expect(await unitContract.totalSupply()).to.equal(maxSupply);
+      expect(await rigContract.getRemainingSupply()).to.equal(0);
+
+      // Capped rig still sells epochs but mints nothing
+      await network.provider.send("evm_increaseTime", [100]);
+      await network.provider.send("evm_mine");
+      const balanceBefore = await unitContract.balanceOf(user2.address);
+      await mineRig(result.rig, user1);
+      expect(await unitContract.balanceOf(user2.address)).to.equal(balanceBefore);
+      expect(await rigContract.epochMiner()).to.equal(user1.address);
+      expect(await unitContract.totalSupply()).to.equal(maxSupply);
+
+      state = await multicall.getRig(result.rig, AddressZero);
+      expect(state.remainingSupply).to.equal(0);
+      expect(state.glazed).to.equal(0);
+    });
+
+    it("Reverts if maxSupply is below the initial LP supply", async function () {
+      await expect(
+        launchFreshRig(user0, { unitAmount: convert("1000000", 18), maxSupply: convert("999999", 18) })
+      ).to.be.revertedWith("Rig__InvalidMaxSupply()");
+    });
+  });
+
+  describe("Price Curves", function () {
+    async function setTime(timestamp) {
+      await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await network.provider.send("evm_mine");
+    }
+
+    it("Linear remains the default curve", async function () {
+      const result = await launchFreshRig(user0);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+
+      expect(await rigContract.priceCurve()).to.equal(0);
+      expect(await auctionContract.priceCurve()).to.equal(0);
+
+      await setTime((await rigContract.epochStartTime()).toNumber() + 3601);
+      expect(await rigContract.getPrice()).to.equal(0);
+    });
+
+    it("Exponential curve halves the rig price every half-life down to the floor", async function () {
+      const minInitPrice = convert("0.0001", 18);
+      const floor = minInitPrice.div(8);
+      const result = await launchFreshRig(user0, {
+        rigPriceCurve: 1,
+        rigPriceHalfLife: 600,
+        rigPriceFloor: floor,
+      });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const startTime = (await rigContract.epochStartTime()).toNumber();
+
+      await setTime(startTime + 300);
+      expect(await rigContract.getPrice()).to.equal(minInitPrice.mul(3).div(4));
+      await setTime(startTime + 600);
+      expect(await rigContract.getPrice()).to.equal(minInitPrice.div(2));
+      await setTime(startTime + 1200);
+      expect(await rigContract.getPrice()).to.equal(minInitPrice.div(4));
+      await setTime(startTime + 3000);
+      expect(await rigContract.getPrice()).to.equal(floor);
+
+      // Without a reserve the price still drops to 0 once the epoch expires
+      await setTime(startTime + 3601);
+      expect(await rigContract.getPrice()).to.equal(0);
+    });
+
+    it("LinearToFloor curve holds the reserve after the epoch expires", async function () {
+      const minInitPrice = convert("0.0001", 18);
+      const floor = minInitPrice.div(4);
+      const result = await launchFreshRig(user0, {
+        rigPriceCurve: 2,
+        rigPriceFloor: floor,
+        rigPriceFloorIsReserve: true,
+      });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const startTime = (await rigContract.epochStartTime()).toNumber();
+
+      await setTime(startTime + 1800);
+      expect(await rigContract.getPrice()).to.equal(minInitPrice.sub(minInitPrice.sub(floor).div(2)));
+      await setTime(startTime + 7200);
+      expect(await rigContract.getPrice()).to.equal(floor);
+
+      const state = await multicall.getRig(result.rig, AddressZero);
+      expect(state.priceCurve).to.equal(2);
+      expect(state.priceFloor).to.equal(floor);
+      expect(state.priceFloorIsReserve).to.equal(true);
+      expect(state.price).to.equal(floor);
+
+      // Mining is never free
+      const treasuryBefore = await weth.balanceOf(result.auction);
+      await mineRig(result.rig, user1);
+      expect(await weth.balanceOf(result.auction)).to.be.gt(treasuryBefore);
+      expect(await rigContract.epochInitPrice()).to.equal(minInitPrice);
+    });
+
+    it("Auction curve is configured at launch and surfaced in Multicall", async function () {
+      const floor = convert("0.001", 18);
+      const result = await launchFreshRig(user0, {
+        auctionPriceCurve: 1,
+        auctionPriceHalfLife: 3600,
+        auctionPriceFloor: floor,
+        auctionPriceFloorIsReserve: true,
+      });
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const startTime = (await auctionContract.startTime()).toNumber();
+
+      await setTime(startTime + 3600);
+      expect(await auctionContract.getPrice()).to.equal(convert("0.5", 18));
+
+      await setTime(startTime + 86401);
+      const state = await multicall.getAuction(result.rig, AddressZero);
+      expect(state.priceCurve).to.equal(1);
+      expect(state.priceHalfLife).to.equal(3600);
+      expect(state.priceFloor).to.equal(floor);
+      expect(state.priceFloorIsReserve).to.equal(true);
+      expect(state.price).to.equal(floor);
+    });
+
+    it("Reverts with invalid curve parameters", async function () {
+      await expect(launchFreshRig(user0, { rigPriceCurve: 3 })).to.be.revertedWith("Rig__InvalidPriceCurve()");
+      await expect(launchFreshRig(user0, { rigPriceCurve: 1, rigPriceHalfLife: 59 })).to.be.revertedWith(
+        "Rig__InvalidPriceHalfLife()"
+      );
+      await expect(launchFreshRig(user0, { rigPriceCurve: 1, rigPriceHalfLife: 3601 })).to.be.revertedWith(
+        "Rig__InvalidPriceHalfLife()"
+      );
+      await expect(
+        launchFreshRig(user0, { rigPriceCurve: 2, rigPriceFloor: convert("0.0002", 18) })
+      ).to.be.revertedWith("Rig__InvalidPriceFloor()");
+      await expect(launchFreshRig(user0, { auctionPriceCurve: 3 })).to.be.revertedWith(
+        "Auction__InvalidPriceCurve()"
+      );
+      await expect(launchFreshRig(user0, { auctionPriceCurve: 1 })).to.be.revertedWith(
+        "Auction__InvalidPriceHalfLife()"
+      );
+      await expect(
+        launchFreshRig(user0, { auctionPriceCurve: 2, auctionPriceFloor: convert("0.002", 18) })
+      ).to.be.revertedWith("Auction__InvalidPriceFloor()");
+    });
+  });
+
+  // ============================================
+  // AUCTION TESTS
+  // ============================================
+  describe("Auction Contract", function () {
+    let testRig, testAuction, testLpToken;
+
+    beforeEach(async function () {
+      const result = await launchFreshRig(user0, {
+        auctionInitPrice: convert("100", 18),
+        auctionEpochPeriod: 3600,
+        auctionMinInitPrice: convert("1", 18),
+      });
+      testRig = result.rig;
+      testAuction = result.auction;
+      testLpToken = result.lpToken;
+
+      // Send some WETH to auction (simulating treasury fees)
+      await weth.connect(user1).deposit({ value: convert("10", 18) });
+      await weth.connect(user1).transfer(testAuction, convert("5", 18));
+    });
+
+    it("Auction price decays linearly", async function () {
+      const auctionContract = await ethers.getContractAt("Auction", testAuction);
+      const initPrice = await auctionContract.initPrice();
+
+      // At start
+      let price = await auctionContract.getPrice();
+      expect(price).to.be.closeTo(initPrice, initPrice.div(100));
+
+      // At 50%
+      await network.provider.send("evm_increaseTime", [1800]);
+      await network.provider.send("evm_mine");
+      price = await auctionContract.getPrice();
+      expect(price).to.be.closeTo(initPrice.div(2), initPrice.div(20));
+
+      // After epoch
+      await network.provider.send("evm_increaseTime", [2000]);
+      await network.provider.send("evm_mine");
+      price = await auctionContract.getPrice();
+      expect(price).to.equal(0);
+    });
+
+    it("Buy transfers all accumulated WETH to buyer", async function () {
+      const auctionContract = await ethers.getContractAt("Auction", testAuction);
+
+      // Fast forward to zero price
+      await network.provider.send("evm_increaseTime", [3700]);
+      await network.provider.send("evm_mine");
+
+      const auctionWethBefore = await weth.balanceOf(testAuction);
+      const user2WethBefore = await weth.balanceOf(user2.address);
+
+      expect(auctionWethBefore).to.be.gt(0);
+
+      const epochId = await auctionContract.epochId();
+      const deadline = await getFutureDeadline();
+
+      // Buy at zero price
       await auctionContract
         .connect(user2)
         .buy([weth.address], user2.address, epochId, deadline, 0);
@@ -753,6 +1572,333 @@ describe("Business Logic Tests", function () {
     });
   });
 
+  describe("Auction Reserve and Restart", function () {
+    const params = {
+      auctionInitPrice: convert("100", 18),
+      auctionEpochPeriod: 3600,
+      auctionMinInitPrice: convert("1", 18),
+    };
+
+    async function setTime(timestamp) {
+      await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await network.provider.send("evm_mine");
+    }
+
+    async function fundAuction(auction) {
+      await weth.connect(user1).deposit({ value: convert("1", 18) });
+      await weth.connect(user1).transfer(auction, convert("1", 18));
+    }
+
+    it("Holds at the reserve price once the epoch expires", async function () {
+      const reservePrice = convert("0.5", 18);
+      const result = await launchFreshRig(user0, { ...params, auctionReservePrice: reservePrice });
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const lpContract = await ethers.getContractAt("MockLP", result.lpToken);
+      await fundAuction(result.auction);
+
+      const startTime = (await auctionContract.startTime()).toNumber();
+      await setTime(startTime + 3595);
+      expect(await auctionContract.getPrice()).to.equal(reservePrice);
+      await setTime(startTime + 7200);
+      expect(await auctionContract.getPrice()).to.equal(reservePrice);
+
+      const state = await multicall.getAuction(result.rig, AddressZero);
+      expect(state.reservePrice).to.equal(reservePrice);
+      expect(state.restartOnExpiry).to.equal(false);
+
+      await lpContract.mint(user2.address, reservePrice);
+      await lpContract.connect(user2).approve(result.auction, reservePrice);
+      const burnedBefore = await lpContract.balanceOf(AddressDead);
+      const deadline = await getFutureDeadline();
+      await expect(auctionContract.connect(user2).buy([weth.address], user2.address, 0, deadline, reservePrice))
+        .to.emit(auctionContract, "Auction__BoughtAtReserve")
+        .withArgs(0, reservePrice);
+      expect((await lpContract.balanceOf(AddressDead)).sub(burnedBefore)).to.equal(reservePrice);
+    });
+
+    it("Restarts an unsold epoch at minInitPrice", async function () {
+      const result = await launchFreshRig(user0, { ...params, auctionRestartOnExpiry: true });
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const minInitPrice = params.auctionMinInitPrice;
+      const startTime = (await auctionContract.startTime()).toNumber();
+
+      await expect(auctionContract.restart()).to.be.revertedWith("Auction__EpochNotExpired()");
+
+      // Price already reflects the pending restart
+      await setTime(startTime + 3600 + 1800);
+      expect(await auctionContract.getPrice()).to.equal(minInitPrice.div(2));
+      expect(await auctionContract.epochId()).to.equal(0);
+      expect(await auctionContract.getEpochId()).to.equal(1);
+      expect((await multicall.getAuction(result.rig, AddressZero)).epochId).to.equal(1);
+
+      await network.provider.send("evm_setNextBlockTimestamp", [startTime + 3600 + 1801]);
+      await expect(auctionContract.connect(user3).restart())
+        .to.emit(auctionContract, "Auction__Restarted")
+        .withArgs(1, minInitPrice, startTime + 3600);
+      expect(await auctionContract.initPrice()).to.equal(minInitPrice);
+      expect(await auctionContract.startTime()).to.equal(startTime + 3600);
+      expect(await auctionContract.epochId()).to.equal(1);
+    });
+
+    it("Buy applies a pending restart", async function () {
+      const result = await launchFreshRig(user0, { ...params, auctionRestartOnExpiry: true });
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const lpContract = await ethers.getContractAt("MockLP", result.lpToken);
+      await fundAuction(result.auction);
+      const startTime = (await auctionContract.startTime()).toNumber();
+
+      await lpContract.mint(user2.address, params.auctionMinInitPrice);
+      await lpContract.connect(user2).approve(result.auction, params.auctionMinInitPrice);
+      const deadline = await getFutureDeadline();
+
+      // Two full epochs expire unsold; the restarted epoch started at startTime + 7200
+      await network.provider.send("evm_setNextBlockTimestamp", [startTime + 7200 + 360]);
+      const expectedPrice = params.auctionMinInitPrice.mul(9).div(10);
+      await expect(
+        auctionContract
+          .connect(user2)
+          .buy([weth.address], user2.address, 2, deadline, params.auctionMinInitPrice)
+      )
+        .to.emit(auctionContract, "Auction__Restarted")
+        .withArgs(2, params.auctionMinInitPrice, startTime + 7200)
+        .and.to.emit(auctionContract, "Auction__Buy")
+        .withArgs(user2.address, user2.address, expectedPrice);
+      expect(await weth.balanceOf(result.auction)).to.equal(0);
+      expect(await auctionContract.epochId()).to.equal(3);
+    });
+
+    it("Buy signed against an expired epoch reverts after the restart", async function () {
+      const result = await launchFreshRig(user0, { ...params, auctionRestartOnExpiry: true });
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const lpContract = await ethers.getContractAt("MockLP", result.lpToken);
+      await fundAuction(result.auction);
+      const startTime = (await auctionContract.startTime()).toNumber();
+
+      await lpContract.mint(user2.address, params.auctionInitPrice);
+      await lpContract.connect(user2).approve(result.auction, params.auctionInitPrice);
+      const deadline = await getFutureDeadline();
+
+      await setTime(startTime + 3600 + 60);
+      await expect(
+        auctionContract.connect(user2).buy([weth.address], user2.address, 0, deadline, params.auctionInitPrice)
+      ).to.be.revertedWith("Auction__EpochIdMismatch()");
+
+      // Same for a keeper-applied restart
+      await auctionContract.connect(user3).restart();
+      await expect(
+        auctionContract.connect(user2).buy([weth.address], user2.address, 0, deadline, params.auctionInitPrice)
+      ).to.be.revertedWith("Auction__EpochIdMismatch()");
+      await expect(
+        auctionContract.connect(user2).buy([weth.address], user2.address, 1, deadline, params.auctionInitPrice)
+      ).to.emit(auctionContract, "Auction__Buy");
+    });
+
+    it("Validates reserve and restart settings", async function () {
+      const result = await launchFreshRig(user0, params);
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      await expect(auctionContract.restart()).to.be.revertedWith("Auction__RestartDisabled()");
+
+      await expect(
+        launchFreshRig(user0, { ...params, auctionReservePrice: convert("1.01", 18) })
+      ).to.be.revertedWith("Auction__ReservePriceExceedsMinInitPrice()");
+    });
+  });
+
+  describe("Auction Payment Modes", function () {
+    const params = {
+      auctionInitPrice: convert("1", 18),
+      auctionEpochPeriod: 3600,
+      auctionMinInitPrice: convert("1", 18),
+    };
+
+    async function buyAtInitPrice(result, buyer) {
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const lpContract = await ethers.getContractAt("MockLP", result.lpToken);
+      const maxPayment = convert("1", 18);
+
+      await weth.connect(user1).deposit({ value: convert("1", 18) });
+      await weth.connect(user1).transfer(result.auction, convert("1", 18));
+      await lpContract.mint(buyer.address, maxPayment);
+      await lpContract.connect(buyer).approve(result.auction, maxPayment);
+
+      const deadline = await getFutureDeadline();
+      const tx = await auctionContract.connect(buyer).buy([weth.address], buyer.address, 0, deadline, maxPayment);
+      const receipt = await tx.wait();
+      const buyEvent = receipt.events.find((e) => e.event === "Auction__Buy");
+      return { receipt, paymentAmount: buyEvent.args.paymentAmount };
+    }
+
+    it("Burns LP payments by default", async function () {
+      const result = await launchFreshRig(user0, params);
+      const state = await multicall.getAuction(result.rig, AddressZero);
+      expect(state.paymentMode).to.equal(0);
+      expect(state.paymentReceiver).to.equal(AddressDead);
+    });
+
+    it("Treasury mode sends LP payments to the launcher-chosen treasury", async function () {
+      const result = await launchFreshRig(user0, {
+        ...params,
+        auctionPaymentMode: 1,
+        auctionPaymentReceiver: user4.address,
+      });
+      const lpContract = await ethers.getContractAt("MockLP", result.lpToken);
+      expect(await (await ethers.getContractAt("Auction", result.auction)).paymentReceiver()).to.equal(user4.address);
+
+      const { paymentAmount } = await buyAtInitPrice(result, user2);
+      expect(paymentAmount).to.be.gt(0);
+      expect(await lpContract.balanceOf(user4.address)).to.equal(paymentAmount);
+    });
+
+    it("Buyback mode unwinds LP, burns Unit and sends DONUT to the team", async function () {
+      const result = await launchFreshRig(user0, { ...params, auctionPaymentMode: 2 });
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const unitContract = await ethers.getContractAt("Unit", result.unit);
+      expect(await auctionContract.paymentReceiver()).to.equal(user0.address);
+
+      const unitSupplyBefore = await unitContract.totalSupply();
+      const teamDonutBefore = await donut.balanceOf(user0.address);
+
+      const { receipt, paymentAmount } = await buyAtInitPrice(result, user2);
+      const buybackEvent = receipt.events.find((e) => e.event === "Auction__Buyback");
+      expect(buybackEvent.args.lpAmount).to.equal(paymentAmount);
+      expect(buybackEvent.args.unitBurned).to.be.gt(0);
+      expect(buybackEvent.args.donutAmount).to.be.gt(0);
+
+      expect(unitSupplyBefore.sub(await unitContract.totalSupply())).to.equal(buybackEvent.args.unitBurned);
+      expect((await donut.balanceOf(user0.address)).sub(teamDonutBefore)).to.equal(buybackEvent.args.donutAmount);
+      expect(await unitContract.balanceOf(result.auction)).to.equal(0);
+      expect(await donut.balanceOf(result.auction)).to.equal(0);
+    });
+
+    it("Validates payment mode settings", async function () {
+      await expect(launchFreshRig(user0, { ...params, auctionPaymentMode: 3 })).to.be.revertedWith(
+        "Auction__InvalidPaymentMode()"
+      );
+      await expect(launchFreshRig(user0, { ...params, auctionPaymentMode: 1 })).to.be.revertedWith(
+        "Auction__InvalidPaymentReceiver()"
+      );
+    });
+  });
+
+  describe("Auction Zap", function () {
+    before(async function () {
+      // Make sure a WETH/DONUT pool exists for buyWithETH
+      await weth.connect(user0).deposit({ value: convert("50", 18) });
+      await donut.connect(user0).deposit({ value: convert("100", 18) });
+      await weth.connect(user0).approve(uniswapRouter.address, convert("50", 18));
+      await donut.connect(user0).approve(uniswapRouter.address, convert("100", 18));
+      await uniswapRouter
+        .connect(user0)
+        .addLiquidity(weth.address, donut.address, convert("50", 18), convert("100", 18), 0, 0, user0.address, await getFutureDeadline());
+    });
+
+    async function launchAndFill() {
+      const result = await launchFreshRig(user4);
+      await mineRig(result.rig, user2);
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const lp = await ethers.getContractAt("MockLP", result.lpToken);
+      const unitToken = await ethers.getContractAt("Unit", result.unit);
+      return { ...result, auctionContract, lp, unitToken };
+    }
+
+    async function paidAmount(receipt, auctionContract) {
+      const log = receipt.logs.find((l) => l.address === auctionContract.address && l.topics[0] === auctionContract.interface.getEventTopic("Auction__Buy"));
+      return auctionContract.interface.parseLog(log).args.paymentAmount;
+    }
+
+    it("buyWithDonut zaps DONUT into exactly the auction price in LP", async function () {
+      const { auctionContract, lp, unitToken, rig: rigAddress, auction: auctionAddress } = await launchAndFill();
+      const wethAccumulated = await weth.balanceOf(auctionAddress);
+      expect(wethAccumulated).to.be.gt(0);
+
+      await ensureDonut(user3, convert("50", 18));
+      await donut.connect(user3).approve(multicall.address, convert("50", 18));
+      const epochId = await auctionContract.epochId();
+      const burnedBefore = await lp.balanceOf(AddressDead);
+      const donutBefore = await donut.balanceOf(user3.address);
+      const wethBefore = await weth.balanceOf(user3.address);
+
+      const tx = await multicall.connect(user3).buyWithDonut(rigAddress, epochId, await getFutureDeadline(), convert("50", 18));
+      const receipt = await tx.wait();
+      const price = await paidAmount(receipt, auctionContract);
+
+      expect(price).to.be.gt(0);
+      expect((await lp.balanceOf(AddressDead)).sub(burnedBefore)).to.equal(price);
+      expect(await auctionContract.epochId()).to.equal(epochId.add(1));
+      expect((await weth.balanceOf(user3.address)).sub(wethBefore)).to.equal(wethAccumulated);
+      expect(donutBefore.sub(await donut.balanceOf(user3.address))).to.be.gt(0);
+
+      // Multicall keeps nothing
+      expect(await donut.balanceOf(multicall.address)).to.equal(0);
+      expect(await unitToken.balanceOf(multicall.address)).to.equal(0);
+      expect(await lp.balanceOf(multicall.address)).to.equal(0);
+    });
+
+    it("buyWithDonut enforces the maximum DONUT input", async function () {
+      const { auctionContract, rig: rigAddress } = await launchAndFill();
+      await ensureDonut(user3, convert("50", 18));
+      await donut.connect(user3).approve(multicall.address, convert("50", 18));
+      const epochId = await auctionContract.epochId();
+
+      await expect(
+        multicall.connect(user3).buyWithDonut(rigAddress, epochId, await getFutureDeadline(), 1)
+      ).to.be.revertedWith("Multicall__MaxInputExceeded()");
+    });
+
+    it("buyWithETH swaps ETH for the DONUT it needs and refunds unused ETH", async function () {
+      const { auctionContract, lp, rig: rigAddress, auction: auctionAddress } = await launchAndFill();
+      const wethAccumulated = await weth.balanceOf(auctionAddress);
+      const epochId = await auctionContract.epochId();
+      const value = convert("20", 18);
+
+      await expect(
+        multicall.connect(user3).buyWithETH(rigAddress, epochId, await getFutureDeadline(), { value: 1 })
+      ).to.be.revertedWith("Multicall__MaxInputExceeded()");
+
+      const ethIn = await multicall.connect(user3).callStatic.buyWithETH(rigAddress, epochId, await getFutureDeadline(), { value });
+      expect(ethIn).to.be.gt(0);
+      expect(ethIn).to.be.lt(value);
+
+      const burnedBefore = await lp.balanceOf(AddressDead);
+      const wethBefore = await weth.balanceOf(user3.address);
+      const ethBefore = await ethers.provider.getBalance(user3.address);
+      const receipt = await (
+        await multicall.connect(user3).buyWithETH(rigAddress, epochId, await getFutureDeadline(), { value })
+      ).wait();
+      const price = await paidAmount(receipt, auctionContract);
+      const swapped = receipt.logs
+        .filter((l) => l.address === weth.address)
+        .map((l) => weth.interface.parseLog(l))
+        .find((e) => e.name === "Transfer" && e.args.from === multicall.address).args.value;
+
+      expect((await lp.balanceOf(AddressDead)).sub(burnedBefore)).to.equal(price);
+      // Buyer receives the accumulated WETH; unused msg.value comes back as ETH
+      expect((await weth.balanceOf(user3.address)).sub(wethBefore)).to.equal(wethAccumulated);
+      expect(ethBefore.sub(await ethers.provider.getBalance(user3.address))).to.equal(
+        swapped.add(receipt.gasUsed.mul(receipt.effectiveGasPrice))
+      );
+      expect(await weth.balanceOf(multicall.address)).to.equal(0);
+      expect(await donut.balanceOf(multicall.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(multicall.address)).to.equal(0);
+    });
+
+    it("Zaps spend nothing when the auction price is zero", async function () {
+      const { auctionContract, rig: rigAddress, auction: auctionAddress } = await launchAndFill();
+      await network.provider.send("evm_increaseTime", [86401]);
+      await network.provider.send("evm_mine");
+      expect(await auctionContract.getPrice()).to.equal(0);
+
+      const wethAccumulated = await weth.balanceOf(auctionAddress);
+      const wethBefore = await weth.balanceOf(user4.address);
+      const epochId = await auctionContract.epochId();
+      expect(
+        await multicall.connect(user4).callStatic.buyWithDonut(rigAddress, epochId, await getFutureDeadline(), 0)
+      ).to.equal(0);
+      await multicall.connect(user4).buyWithDonut(rigAddress, epochId, await getFutureDeadline(), 0);
+      expect((await weth.balanceOf(user4.address)).sub(wethBefore)).to.equal(wethAccumulated);
+    });
+  });
+
   // ============================================
   // UNIT TOKEN TESTS
   // ============================================
@@ -817,8 +1963,7 @@ describe("Business Logic Tests", function () {
 
     it("setRig cannot set to zero address", async function () {
       // Deploy a fresh Unit where we control the rig
-      const UnitFactory = await ethers.getContractFactory("Unit");
-      const freshUnit = await UnitFactory.connect(user0).deploy("Fresh Unit", "FRESH");
+      const freshUnit = await deployFreshUnit(user0, "Fresh Unit", "FRESH");
 
       // user0 is the initial rig (deployer)
       expect(await freshUnit.rig()).to.equal(user0.address);
@@ -831,8 +1976,7 @@ describe("Business Logic Tests", function () {
 
     it("setRig transfers minting rights", async function () {
       // Deploy a fresh Unit where we control the rig
-      const UnitFactory = await ethers.getContractFactory("Unit");
-      const freshUnit = await UnitFactory.connect(user0).deploy("Fresh Unit", "FRESH");
+      const freshUnit = await deployFreshUnit(user0, "Fresh Unit", "FRESH");
 
       // user0 is the initial rig (deployer)
       expect(await freshUnit.rig()).to.equal(user0.address);
@@ -875,8 +2019,7 @@ describe("Business Logic Tests", function () {
 
     it("Unit__RigSet event is emitted on setRig", async function () {
       // Deploy a fresh Unit where we control the rig
-      const UnitFactory = await ethers.getContractFactory("Unit");
-      const freshUnit = await UnitFactory.connect(user0).deploy("Fresh Unit", "FRESH");
+      const freshUnit = await deployFreshUnit(user0, "Fresh Unit", "FRESH");
 
       // Transfer rig to user1 and check event
       await expect(freshUnit.connect(user0).setRig(user1.address))
@@ -910,6 +2053,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__InvalidInitialUps()");
     });
@@ -935,6 +2103,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__InvalidTailUps()");
     });
@@ -960,6 +2153,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__InvalidTailUps()");
     });
@@ -985,6 +2203,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__InvalidHalvingPeriod()");
     });
@@ -1010,6 +2253,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Core__EmptyTokenSymbol()");
     });
@@ -1031,11 +2299,535 @@ describe("Business Logic Tests", function () {
 
       expect(result1.unit).to.not.equal(result2.unit);
 
-      const unit1 = await ethers.getContractAt("Unit", result1.unit);
-      const unit2 = await ethers.getContractAt("Unit", result2.unit);
+      const unit1 = await ethers.getContractAt("Unit", result1.unit);
+      const unit2 = await ethers.getContractAt("Unit", result2.unit);
+
+      expect(await unit1.symbol()).to.equal("U1");
+      expect(await unit2.symbol()).to.equal("U2");
+    });
+  });
+
+  // ============================================
+  // QUOTE TOKEN SELECTION
+  // ============================================
+  describe("Quote Token Selection", function () {
+    it("WETH is allowlisted as a quote token by default", async function () {
+      expect(await core.isQuoteToken(weth.address)).to.equal(true);
+      expect(await core.isQuoteToken(donut.address)).to.equal(false);
+    });
+
+    it("Reverts launch with a quote token that is not allowlisted", async function () {
+      await expect(launchFreshRig(user0, { quoteToken: donut.address })).to.be.revertedWith(
+        "Core__InvalidQuoteToken()"
+      );
+    });
+
+    it("Only owner can update the quote token allowlist", async function () {
+      await expect(core.connect(user0).setQuoteToken(donut.address, true)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(core.connect(owner).setQuoteToken(AddressZero, true)).to.be.revertedWith(
+        "Core__ZeroAddress()"
+      );
+    });
+
+    it("Rig launched with DONUT quote is mined and pays fees in DONUT", async function () {
+      await expect(core.connect(owner).setQuoteToken(donut.address, true))
+        .to.emit(core, "Core__QuoteTokenSet")
+        .withArgs(donut.address, true);
+
+      const result = await launchFreshRig(user0, { quoteToken: donut.address });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      expect(await rigContract.quote()).to.equal(donut.address);
+
+      await ensureDonut(user1);
+      const epochId = await rigContract.epochId();
+      const price = await rigContract.getPrice();
+      await donut.connect(user1).approve(result.rig, price);
+
+      const auctionBefore = await donut.balanceOf(result.auction);
+      await rigContract.connect(user1).mine(user1.address, epochId, await getFutureDeadline(), price, "");
+      const received = (await donut.balanceOf(result.auction)).sub(auctionBefore);
+
+      expect(await rigContract.epochMiner()).to.equal(user1.address);
+      expect(received).to.be.gt(0);
+      expect(await weth.balanceOf(result.auction)).to.equal(0);
+    });
+
+    it("Multicall.mine rejects rigs not quoted in WETH", async function () {
+      const result = await launchFreshRig(user0, { quoteToken: donut.address });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const epochId = await rigContract.epochId();
+      const price = await rigContract.getPrice();
+
+      await expect(
+        multicall.connect(user1).mine(result.rig, epochId, await getFutureDeadline(), price, "", { value: price })
+      ).to.be.revertedWith("Multicall__InvalidQuote()");
+    });
+
+    it("Multicall.mineWithToken pulls the quote token at the current price", async function () {
+      const result = await launchFreshRig(user0, { quoteToken: donut.address });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+
+      await ensureDonut(user2);
+      await donut.connect(user2).approve(multicall.address, convert("10", 18));
+
+      const epochId = await rigContract.epochId();
+      const price = await rigContract.getPrice();
+      const donutBefore = await donut.balanceOf(user2.address);
+
+      await multicall.connect(user2).mineWithToken(result.rig, epochId, await getFutureDeadline(), price, "");
+
+      const spent = donutBefore.sub(await donut.balanceOf(user2.address));
+      expect(await rigContract.epochMiner()).to.equal(user2.address);
+      expect(spent).to.be.lte(price);
+      expect(await donut.balanceOf(multicall.address)).to.equal(0);
+
+      const state = await multicall.getRig(result.rig, user2.address);
+      expect(state.quote).to.equal(donut.address);
+      expect(state.quoteBalance).to.equal(await donut.balanceOf(user2.address));
+    });
+
+    it("Multicall.buy sends the rig's quote token to the buyer", async function () {
+      const result = await launchFreshRig(user0, { quoteToken: donut.address });
+      await mineRigWithDonut(result.rig, user1);
+
+      const accumulated = await donut.balanceOf(result.auction);
+      expect(accumulated).to.be.gt(0);
+
+      const auctionState = await multicall.getAuction(result.rig, user0.address);
+      expect(auctionState.quote).to.equal(donut.address);
+      expect(auctionState.quoteAccumulated).to.equal(accumulated);
+
+      // Let the auction price decay to zero so no LP is needed
+      await network.provider.send("evm_increaseTime", [86401]);
+      await network.provider.send("evm_mine");
+
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      const epochId = await auctionContract.epochId();
+      const donutBefore = await donut.balanceOf(user3.address);
+      await multicall.connect(user3).buy(result.rig, epochId, await getFutureDeadline(), 0);
+
+      expect((await donut.balanceOf(user3.address)).sub(donutBefore)).to.equal(accumulated);
+      expect(await donut.balanceOf(result.auction)).to.equal(0);
+    });
+  });
+
+  describe("Launch Fee", function () {
+    const fee = convert("2", 18);
+
+    afterEach(async function () {
+      await core.connect(owner).setLaunchFee(AddressZero, 0);
+      await core.connect(owner).setProtocolFeeAddress(protocol.address);
+    });
+
+    it("Only owner can set the launch fee, in DONUT or ETH only", async function () {
+      await expect(core.connect(user0).setLaunchFee(donut.address, fee)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(core.connect(owner).setLaunchFee(weth.address, fee)).to.be.revertedWith(
+        "Core__InvalidLaunchFeeToken()"
+      );
+
+      await expect(core.connect(owner).setLaunchFee(donut.address, fee))
+        .to.emit(core, "Core__LaunchFeeSet")
+        .withArgs(donut.address, fee);
+      expect(await core.launchFeeToken()).to.equal(donut.address);
+      expect(await core.launchFee()).to.equal(fee);
+    });
+
+    it("Charges a DONUT fee on top of the LP DONUT", async function () {
+      await core.connect(owner).setLaunchFee(donut.address, fee);
+      await ensureDonut(user2, convert("20", 18));
+
+      // Approving only the LP DONUT is not enough
+      const params = getLaunchParams(user2);
+      await donut.connect(user2).approve(core.address, params.donutAmount);
+      await expect(core.connect(user2).launch(params)).to.be.reverted;
+      await expect(core.connect(user2).launch(params, { value: fee })).to.be.revertedWith(
+        "Core__IncorrectLaunchFee()"
+      );
+
+      const protocolBefore = await donut.balanceOf(protocol.address);
+      const userBefore = await donut.balanceOf(user2.address);
+      await donut.connect(user2).approve(core.address, params.donutAmount.add(fee));
+      const receipt = await (await core.connect(user2).launch(params)).wait();
+
+      const paid = receipt.events.find((e) => e.event === "Core__LaunchFeePaid");
+      const launched = receipt.events.find((e) => e.event === "Core__Launched");
+      expect(paid.args.rig).to.equal(launched.args.rig);
+      expect(paid.args.payer).to.equal(user2.address);
+      expect(paid.args.token).to.equal(donut.address);
+      expect(paid.args.amount).to.equal(fee);
+      expect((await donut.balanceOf(protocol.address)).sub(protocolBefore)).to.equal(fee);
+      expect(userBefore.sub(await donut.balanceOf(user2.address))).to.equal(params.donutAmount.add(fee));
+      expect(await donut.balanceOf(core.address)).to.equal(0);
+    });
+
+    it("Charges an exact ETH fee", async function () {
+      const ethFee = convert("0.05", 18);
+      await core.connect(owner).setLaunchFee(AddressZero, ethFee);
+      await ensureDonut(user2, convert("20", 18));
+
+      const params = getLaunchParams(user2);
+      await donut.connect(user2).approve(core.address, params.donutAmount);
+      await expect(core.connect(user2).launch(params)).to.be.revertedWith("Core__IncorrectLaunchFee()");
+      await expect(core.connect(user2).launch(params, { value: ethFee.add(1) })).to.be.revertedWith(
+        "Core__IncorrectLaunchFee()"
+      );
+
+      const protocolBefore = await ethers.provider.getBalance(protocol.address);
+      await expect(core.connect(user2).launch(params, { value: ethFee })).to.emit(core, "Core__LaunchFeePaid");
+      expect((await ethers.provider.getBalance(protocol.address)).sub(protocolBefore)).to.equal(ethFee);
+      expect(await ethers.provider.getBalance(core.address)).to.equal(0);
+    });
+
+    it("Charges nothing while protocolFeeAddress is unset", async function () {
+      await core.connect(owner).setLaunchFee(AddressZero, fee);
+      await core.connect(owner).setProtocolFeeAddress(AddressZero);
+
+      const [token, amount] = await core.getLaunchFee();
+      expect(token).to.equal(AddressZero);
+      expect(amount).to.equal(0);
+
+      await ensureDonut(user2, convert("20", 18));
+      const params = getLaunchParams(user2);
+      await donut.connect(user2).approve(core.address, params.donutAmount);
+      const receipt = await (await core.connect(user2).launch(params)).wait();
+      expect(receipt.events.find((e) => e.event === "Core__LaunchFeePaid")).to.be.undefined;
+    });
+
+    it("Multicall.launch pulls a DONUT fee and forwards an ETH fee", async function () {
+      await ensureDonut(user3, convert("40", 18));
+      const params = getLaunchParams(user3);
+
+      await core.connect(owner).setLaunchFee(donut.address, fee);
+      let protocolBefore = await donut.balanceOf(protocol.address);
+      await donut.connect(user3).approve(multicall.address, params.donutAmount.add(fee));
+      await multicall.connect(user3).launch(params);
+      expect((await donut.balanceOf(protocol.address)).sub(protocolBefore)).to.equal(fee);
+      expect(await donut.balanceOf(multicall.address)).to.equal(0);
+
+      const ethFee = convert("0.05", 18);
+      await core.connect(owner).setLaunchFee(AddressZero, ethFee);
+      protocolBefore = await ethers.provider.getBalance(protocol.address);
+      await donut.connect(user3).approve(multicall.address, params.donutAmount);
+      await multicall.connect(user3).launch(params, { value: ethFee });
+      expect((await ethers.provider.getBalance(protocol.address)).sub(protocolBefore)).to.equal(ethFee);
+      expect(await ethers.provider.getBalance(multicall.address)).to.equal(0);
+    });
+  });
+
+  describe("Launch With ETH", function () {
+    const ethFee = convert("0.05", 18);
+
+    before(async function () {
+      // Seed a WETH/DONUT pool at 1 WETH = 2 DONUT
+      await weth.connect(user0).deposit({ value: convert("100", 18) });
+      await donut.connect(user0).deposit({ value: convert("200", 18) });
+      await weth.connect(user0).approve(uniswapRouter.address, convert("100", 18));
+      await donut.connect(user0).approve(uniswapRouter.address, convert("200", 18));
+      await uniswapRouter
+        .connect(user0)
+        .addLiquidity(weth.address, donut.address, convert("100", 18), convert("200", 18), 0, 0, user0.address, await getFutureDeadline());
+    });
+
+    afterEach(async function () {
+      await core.connect(owner).setLaunchFee(AddressZero, 0);
+    });
+
+    async function quoteDonut(ethIn) {
+      const amounts = await uniswapRouter.getAmountsOut(ethIn, [weth.address, donut.address]);
+      return amounts[1];
+    }
+
+    it("Swaps ETH to DONUT, launches and refunds leftover DONUT", async function () {
+      const params = getLaunchParams(user4);
+      const value = convert("10", 18);
+      const donutOut = await quoteDonut(value);
+
+      const launchesBefore = (await core.getRigsByLauncher(user4.address)).length;
+      const donutBefore = await donut.balanceOf(user4.address);
+      await multicall.connect(user4).launchWithETH(params, donutOut, { value });
+
+      expect((await core.getRigsByLauncher(user4.address)).length).to.equal(launchesBefore + 1);
+      expect((await donut.balanceOf(user4.address)).sub(donutBefore)).to.equal(donutOut.sub(params.donutAmount));
+      expect(await donut.balanceOf(multicall.address)).to.equal(0);
+      expect(await weth.balanceOf(multicall.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(multicall.address)).to.equal(0);
+    });
+
+    it("Reverts when the swap returns too little DONUT", async function () {
+      const params = getLaunchParams(user4);
+      const value = convert("10", 18);
+      const donutOut = await quoteDonut(value);
+
+      await expect(
+        multicall.connect(user4).launchWithETH(params, donutOut.add(1), { value })
+      ).to.be.revertedWith("INSUFFICIENT_OUTPUT_AMOUNT");
+      await expect(
+        multicall.connect(user4).launchWithETH(params, 0, { value: convert("1", 18) })
+      ).to.be.revertedWith("Multicall__InsufficientDonut()");
+      await expect(multicall.connect(user4).launchWithETH(params, 0)).to.be.revertedWith(
+        "Multicall__InsufficientETH()"
+      );
+    });
+
+    it("Pays an ETH launch fee out of msg.value before swapping", async function () {
+      await core.connect(owner).setLaunchFee(AddressZero, ethFee);
+      const params = getLaunchParams(user4);
+      const value = convert("10", 18);
+      const donutOut = await quoteDonut(value);
+
+      await expect(
+        multicall.connect(user4).launchWithETH(params, 0, { value: ethFee })
+      ).to.be.revertedWith("Multicall__InsufficientETH()");
+
+      const protocolBefore = await ethers.provider.getBalance(protocol.address);
+      const donutBefore = await donut.balanceOf(user4.address);
+      await multicall.connect(user4).launchWithETH(params, donutOut, { value: value.add(ethFee) });
+
+      expect((await ethers.provider.getBalance(protocol.address)).sub(protocolBefore)).to.equal(ethFee);
+      expect((await donut.balanceOf(user4.address)).sub(donutBefore)).to.equal(donutOut.sub(params.donutAmount));
+    });
+
+    it("Covers a DONUT launch fee from the swapped DONUT", async function () {
+      const fee = convert("2", 18);
+      await core.connect(owner).setLaunchFee(donut.address, fee);
+      const params = getLaunchParams(user4);
+      const value = convert("10", 18);
+      const donutOut = await quoteDonut(value);
+
+      const protocolBefore = await donut.balanceOf(protocol.address);
+      const donutBefore = await donut.balanceOf(user4.address);
+      await multicall.connect(user4).launchWithETH(params, donutOut, { value });
+
+      expect((await donut.balanceOf(protocol.address)).sub(protocolBefore)).to.equal(fee);
+      expect((await donut.balanceOf(user4.address)).sub(donutBefore)).to.equal(
+        donutOut.sub(params.donutAmount).sub(fee)
+      );
+    });
+  });
+
+  describe("Rig Registry", function () {
+    it("Records reverse lookups at launch", async function () {
+      const result = await launchFreshRig(user1);
+
+      expect(await core.unitToRig(result.unit)).to.equal(result.rig);
+      expect(await core.auctionToRig(result.auction)).to.equal(result.rig);
+      expect(await core.lpToRig(result.lpToken)).to.equal(result.rig);
+      expect(await core.unitToRig(result.rig)).to.equal(AddressZero);
+    });
+
+    it("Returns paginated full records in launch order", async function () {
+      const first = await launchFreshRig(user2);
+      const second = await launchFreshRig(user3);
+      const length = (await core.deployedRigsLength()).toNumber();
+
+      const page = await core.getRigs(length - 2, 10);
+      expect(page.length).to.equal(2);
+      expect(page[0].rig).to.equal(first.rig);
+      expect(page[0].unit).to.equal(first.unit);
+      expect(page[0].auction).to.equal(first.auction);
+      expect(page[0].lpToken).to.equal(first.lpToken);
+      expect(page[0].launcher).to.equal(user2.address);
+      expect(page[1].rig).to.equal(second.rig);
+      expect(page[1].launcher).to.equal(user3.address);
+
+      const limited = await core.getRigs(0, 3);
+      expect(limited.length).to.equal(3);
+      expect(limited[0].rig).to.equal(await core.deployedRigs(0));
+
+      expect(await core.getRigs(length, 10)).to.be.empty;
+      expect(await core.getRigs(0, 0)).to.be.empty;
+    });
+
+    it("Filters records by launcher", async function () {
+      const before = await core.getRigsByLauncher(user4.address);
+      const result = await launchFreshRig(user4);
+
+      const records = await core.getRigsByLauncher(user4.address);
+      expect(records.length).to.equal(before.length + 1);
+      expect(records[records.length - 1].rig).to.equal(result.rig);
+      expect(records[records.length - 1].auction).to.equal(result.auction);
+      expect(await core.getRigsByLauncher(AddressDead)).to.be.empty;
+    });
+  });
+
+  describe("Deterministic Deployment", function () {
+    const salt = ethers.utils.formatBytes32String("my-launch");
+
+    it("Launches at the addresses predicted for the launcher and salt", async function () {
+      const nonce = await core.launchNonces(user1.address);
+      const predicted = await core.predictAddresses(user1.address, salt);
+
+      const result = await launchFreshRig(user1, { salt });
+      expect(result.unit).to.equal(predicted.unit);
+      expect(result.rig).to.equal(predicted.rig);
+      expect(result.auction).to.equal(predicted.auction);
+      expect(await core.launchNonces(user1.address)).to.equal(nonce.add(1));
+
+      // The nonce moves on, so the same salt predicts fresh addresses for the next launch
+      const next = await core.predictAddresses(user1.address, salt);
+      expect(next.unit).to.not.equal(predicted.unit);
+      const second = await launchFreshRig(user1, { salt });
+      expect(second.unit).to.equal(next.unit);
+    });
+
+    it("Predictions depend on launcher and salt", async function () {
+      const a = await core.predictAddresses(user1.address, salt);
+      const b = await core.predictAddresses(user2.address, salt);
+      const c = await core.predictAddresses(user1.address, ethers.constants.HashZero);
+
+      expect(a.unit).to.not.equal(b.unit);
+      expect(a.unit).to.not.equal(c.unit);
+      expect(a.rig).to.not.equal(a.auction);
+    });
+
+    it("Only the launcher or Multicall can launch with a launcher's salt", async function () {
+      const victimSalt = ethers.utils.formatBytes32String("victim");
+      const nonce = await core.launchNonces(user1.address);
+      const predicted = await core.predictAddresses(user1.address, victimSalt);
+
+      // A third party naming user1 as launcher cannot take user1's addresses or bump its nonce
+      await ensureDonut(user4, convert("20", 18));
+      await donut.connect(user4).approve(core.address, convert("10", 18));
+      await expect(
+        core.connect(user4).launch(getLaunchParams(user1, { salt: victimSalt }))
+      ).to.be.revertedWith("Core__NotLauncher()");
+      expect(await core.launchNonces(user1.address)).to.equal(nonce);
+
+      // Multicall launches for its caller, so the addresses stay the caller's own
+      const viaMulticall = await core.predictAddresses(user4.address, victimSalt);
+      await donut.connect(user4).approve(multicall.address, convert("10", 18));
+      await multicall.connect(user4).launch(getLaunchParams(user1, { salt: victimSalt }));
+      const records = await core.getRigsByLauncher(user4.address);
+      expect(records[records.length - 1].unit).to.equal(viaMulticall.unit);
+
+      const result = await launchFreshRig(user1, { salt: victimSalt });
+      expect(result.unit).to.equal(predicted.unit);
+      expect(result.rig).to.equal(predicted.rig);
+    });
+
+    it("Only the owner sets the trusted Multicall", async function () {
+      await expect(core.connect(user1).setMulticall(user1.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(core.connect(owner).setMulticall(multicall.address))
+        .to.emit(core, "Core__MulticallSet")
+        .withArgs(multicall.address);
+      expect(await core.multicall()).to.equal(multicall.address);
+    });
+  });
+
+  describe("Clone Factories", function () {
+    function rigParams(unit) {
+      return {
+        unit,
+        quote: weth.address,
+        treasury: AddressDead,
+        team: user1.address,
+        core: core.address,
+        owner: user0.address,
+        uri: "",
+        initialUps: convert("4", 18),
+        tailUps: convert("0.01", 18),
+        halvingPeriod: 86400 * 30,
+        epochPeriod: 3600,
+        priceMultiplier: convert("2", 18),
+        minInitPrice: convert("0.0001", 18),
+        previousMinerFee: 8000,
+        teamFee: 500,
+        protocolFee: 100,
+        revealWindow: 0,
+        commitBond: 0,
+        adminDelay: 86400,
+        emissionSchedule: 0,
+        decayPeriod: 0,
+        stepOffsets: [],
+        stepUps: [],
+        maxSupply: 0,
+        priceCurve: 0,
+        priceHalfLife: 0,
+        priceFloor: 0,
+        priceFloorIsReserve: false,
+      };
+    }
+
+    function auctionParams() {
+      return {
+        initPrice: convert("1", 18),
+        paymentToken: weth.address,
+        paymentReceiver: AddressDead,
+        epochPeriod: 86400,
+        priceMultiplier: convert("1.2", 18),
+        minInitPrice: convert("0.001", 18),
+        priceCurve: 0,
+        priceHalfLife: 0,
+        priceFloor: 0,
+        priceFloorIsReserve: false,
+        reservePrice: 0,
+        restartOnExpiry: false,
+        paymentMode: 0,
+        router: AddressZero,
+        unit: AddressZero,
+        donut: AddressZero,
+        core: AddressZero,
+      };
+    }
+
+    it("Launches Rig and Auction as clones of the factory implementations", async function () {
+      const result = await launchFreshRig(user3);
+      const rig = await ethers.getContractAt("Rig", result.rig);
+      const auction = await ethers.getContractAt("Auction", result.auction);
+
+      // EIP-1167 runtime code is 45 bytes
+      expect(ethers.utils.hexDataLength(await ethers.provider.getCode(result.rig))).to.equal(45);
+      expect(ethers.utils.hexDataLength(await ethers.provider.getCode(result.auction))).to.equal(45);
+      expect(await rig.owner()).to.equal(user3.address);
+      expect(await rig.unit()).to.equal(result.unit);
+      expect(await auction.paymentToken()).to.equal(result.lpToken);
+    });
+
+    it("Clones and implementations cannot be initialized again", async function () {
+      const unit = await deployFreshUnit(user0, "Clone Unit", "CLONE");
+      const result = await launchFreshRig(user3);
+      const rig = await ethers.getContractAt("Rig", result.rig);
+      const auction = await ethers.getContractAt("Auction", result.auction);
+      const rigImpl = await ethers.getContractAt("Rig", await rigFactory.implementation());
+      const auctionImpl = await ethers.getContractAt("Auction", await auctionFactory.implementation());
+
+      const reason = "Initializable: contract is already initialized";
+      // Checked with callStatic so the revert reason is decoded
+      await expect(rig.connect(user2).callStatic.initialize(rigParams(unit.address))).to.be.revertedWith(reason);
+      await expect(auction.connect(user2).callStatic.initialize(auctionParams())).to.be.revertedWith(reason);
+      await expect(rigImpl.callStatic.initialize(rigParams(unit.address))).to.be.revertedWith(reason);
+      await expect(auctionImpl.callStatic.initialize(auctionParams())).to.be.revertedWith(reason);
+    });
 
-      expect(await unit1.symbol()).to.equal("U1");
-      expect(await unit2.symbol()).to.equal("U2");
+    it("Launching through Core costs less gas than deploying full Rig and Auction bytecode", async function () {
+      async function deployGas(name) {
+        const contract = await (await ethers.getContractFactory(name)).deploy();
+        return (await contract.deployTransaction.wait()).gasUsed;
+      }
+      // What the factories paid per launch when they deployed Rig and Auction with `new`
+      const rigDeployGas = await deployGas("Rig");
+      const auctionDeployGas = await deployGas("Auction");
+
+      const unit = await deployFreshUnit(user0, "Gas Unit", "GAS");
+      const salt = ethers.utils.formatBytes32String("gas");
+      const rigTx = await rigFactory.connect(user3).deploy(salt, rigParams(unit.address));
+      const rigCloneGas = (await rigTx.wait()).gasUsed;
+      const auctionTx = await auctionFactory.connect(user3).deploy(salt, auctionParams());
+      const auctionCloneGas = (await auctionTx.wait()).gasUsed;
+      expect(rigCloneGas).to.be.lt(rigDeployGas.div(4));
+      expect(auctionCloneGas).to.be.lt(auctionDeployGas.div(2));
+
+      await ensureDonut(user3, convert("20", 18));
+      const launchParams = getLaunchParams(user3);
+      await donut.connect(user3).approve(core.address, launchParams.donutAmount);
+      const launchGas = (await (await core.connect(user3).launch(launchParams)).wait()).gasUsed;
+      expect(launchGas).to.be.lt(rigDeployGas.add(auctionDeployGas));
     });
   });
 
@@ -1066,24 +2858,56 @@ describe("Business Logic Tests", function () {
       expect(await rigContract.epochMiner()).to.equal(user1.address);
     });
 
-    it("Multicall refunds excess ETH as WETH", async function () {
+    it("Multicall refunds excess ETH as native ETH, exactly", async function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
       const epochId = await rigContract.epochId();
       const price = await rigContract.getPrice();
       const deadline = await getFutureDeadline();
 
+      const ethBefore = await ethers.provider.getBalance(user1.address);
       const wethBefore = await weth.balanceOf(user1.address);
 
       // Send 2x the price
-      await multicall.connect(user1).mine(testRig, epochId, deadline, price, "", {
-        value: price.mul(2),
-      });
+      const receipt = await (
+        await multicall.connect(user1).mine(testRig, epochId, deadline, price, "", { value: price.mul(2) })
+      ).wait();
+      const paid = receipt.events
+        .filter((e) => e.address === testRig)
+        .map((e) => rigContract.interface.parseLog(e))
+        .find((e) => e.name === "Rig__Mined").args.price;
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      // Only the price actually paid (plus gas) leaves the wallet; no WETH is left behind
+      expect(ethBefore.sub(await ethers.provider.getBalance(user1.address))).to.equal(paid.add(gasCost));
+      expect(await weth.balanceOf(user1.address)).to.equal(wethBefore);
+      expect(await weth.balanceOf(multicall.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(multicall.address)).to.equal(0);
+    });
 
-      const wethAfter = await weth.balanceOf(user1.address);
+    it("Multicall refunds WETH to callers that cannot receive ETH", async function () {
+      const rigContract = await ethers.getContractAt("Rig", testRig);
+      const epochId = await rigContract.epochId();
+      const price = await rigContract.getPrice();
+      const deadline = await getFutureDeadline();
+      const rejecter = await (await ethers.getContractFactory("MockETHRejecter")).deploy();
+
+      const data = multicall.interface.encodeFunctionData("mine", [testRig, epochId, deadline, price, ""]);
+      const receipt = await (await rejecter.connect(user1).execute(multicall.address, data, { value: price.mul(2) })).wait();
+      const paid = receipt.events
+        .filter((e) => e.address === testRig)
+        .map((e) => rigContract.interface.parseLog(e))
+        .find((e) => e.name === "Rig__Mined").args.price;
+
+      expect(await rigContract.epochMiner()).to.equal(rejecter.address);
+      expect(await weth.balanceOf(rejecter.address)).to.equal(price.mul(2).sub(paid));
+      expect(await ethers.provider.getBalance(rejecter.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(multicall.address)).to.equal(0);
+    });
 
-      // Should have received refund (approximately price worth of WETH)
-      // The exact amount depends on price decay during execution
-      expect(wethAfter).to.be.gte(wethBefore);
+    it("Multicall only accepts ETH from WETH", async function () {
+      await expect(user1.sendTransaction({ to: multicall.address, value: 1 })).to.be.revertedWith(
+        "Multicall__OnlyWETH()"
+      );
     });
 
     it("getRig returns correct state", async function () {
@@ -1112,6 +2936,154 @@ describe("Business Logic Tests", function () {
     });
   });
 
+  describe("Portfolio", function () {
+    it("Reports Unit, glazed and LP holdings per rig, valued in DONUT", async function () {
+      const first = await launchFreshRig(user2);
+      const second = await launchFreshRig(user3);
+      const length = (await core.deployedRigsLength()).toNumber();
+
+      // user1 mines the first rig twice (earning Unit) and holds some LP of the second
+      await mineRig(first.rig, user1);
+      await network.provider.send("evm_increaseTime", [600]);
+      await mineRig(first.rig, user1);
+      await network.provider.send("evm_increaseTime", [600]);
+      await network.provider.send("evm_mine");
+      const lp = await ethers.getContractAt("MockLP", second.lpToken);
+      await lp.mint(user1.address, convert("5", 18));
+
+      const portfolio = await multicall.getPortfolio(user1.address, length - 2, 10);
+      expect(portfolio.length).to.equal(2);
+
+      const [a, b] = portfolio;
+      const rigState = await multicall.getRig(first.rig, user1.address);
+      const unitA = await ethers.getContractAt("Unit", first.unit);
+      expect(a.rig).to.equal(first.rig);
+      expect(a.unit).to.equal(first.unit);
+      expect(a.lpToken).to.equal(first.lpToken);
+      expect(a.quote).to.equal(weth.address);
+      expect(a.unitBalance).to.equal(await unitA.balanceOf(user1.address));
+      expect(a.unitBalance).to.be.gt(0);
+      expect(a.isMiner).to.equal(true);
+      expect(a.glazed).to.equal(rigState.glazed);
+      expect(a.glazed).to.be.gt(0);
+      expect(a.unitPrice).to.equal(rigState.unitPrice);
+      expect(a.claimable).to.equal(0);
+      expect(a.value).to.equal(a.unitBalance.add(a.glazed).mul(a.unitPrice).div(convert("1", 18)));
+
+      const auctionState = await multicall.getAuction(second.rig, user1.address);
+      expect(b.rig).to.equal(second.rig);
+      expect(b.isMiner).to.equal(false);
+      expect(b.glazed).to.equal(0);
+      expect(b.unitBalance).to.equal(0);
+      expect(b.lpBalance).to.equal(convert("5", 18));
+      expect(b.lpPrice).to.equal(auctionState.paymentTokenPrice);
+      expect(b.value).to.equal(b.lpBalance.mul(b.lpPrice).div(convert("1", 18)));
+    });
+
+    it("Pages through rigs like Core.getRigs", async function () {
+      const length = (await core.deployedRigsLength()).toNumber();
+
+      expect((await multicall.getPortfolio(user1.address, 0, 3)).length).to.equal(3);
+      expect((await multicall.getPortfolio(user1.address, length - 1, 10)).length).to.equal(1);
+      expect(await multicall.getPortfolio(user1.address, length, 10)).to.be.empty;
+      expect(await multicall.getPortfolio(user1.address, 0, 0)).to.be.empty;
+    });
+  });
+
+  describe("Mine Quote", function () {
+    it("Matches the price, fee split, minted amount and next epoch of an actual mine", async function () {
+      const result = await launchFreshRig(user3);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      await mineRig(result.rig, user1);
+
+      // Quote 100 seconds ahead, then mine exactly then
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const quote = await multicall.quoteMine(result.rig, 100);
+      expect(quote.previousMiner).to.equal(user1.address);
+      expect(quote.price).to.be.gt(0);
+      expect(
+        quote.previousMinerAmount.add(quote.treasuryAmount).add(quote.teamAmount).add(quote.protocolAmount)
+      ).to.equal(quote.price);
+
+      const epochId = await rigContract.epochId();
+      await weth.connect(user2).deposit({ value: convert("10", 18) });
+      await weth.connect(user2).approve(result.rig, quote.price);
+      await network.provider.send("evm_setNextBlockTimestamp", [now + 100]);
+      const tx = await rigContract
+        .connect(user2)
+        .mine(user2.address, epochId, await getFutureDeadline(), quote.price, "");
+      const receipt = await tx.wait();
+      const args = (name) => receipt.events.find((e) => e.event === name).args;
+
+      expect(args("Rig__Mined").price).to.equal(quote.price);
+      expect(args("Rig__PreviousMinerFee").amount).to.equal(quote.previousMinerAmount);
+      expect(args("Rig__TreasuryFee").amount).to.equal(quote.treasuryAmount);
+      expect(args("Rig__TeamFee").amount).to.equal(quote.teamAmount);
+      expect(args("Rig__ProtocolFee").amount).to.equal(quote.protocolAmount);
+      expect(args("Rig__Minted").miner).to.equal(user1.address);
+      expect(args("Rig__Minted").amount).to.equal(quote.minedAmount);
+      expect(await rigContract.epochInitPrice()).to.equal(quote.nextInitPrice);
+      expect(await rigContract.epochUps()).to.equal(quote.nextUps);
+    });
+
+    it("Quotes a decayed price and more Unit further in the future", async function () {
+      const result = await launchFreshRig(user3);
+      await mineRig(result.rig, user1);
+
+      const soon = await multicall.quoteMine(result.rig, 0);
+      const later = await multicall.quoteMine(result.rig, 1800);
+      expect(later.price).to.be.lt(soon.price);
+      expect(later.minedAmount).to.be.gt(soon.minedAmount);
+    });
+
+    it("Sends the team share to the treasury when team is unset", async function () {
+      const result = await launchFreshRig(user3);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      await rigContract.connect(user3).queueTeam(AddressZero);
+      await network.provider.send("evm_increaseTime", [86400]);
+      await rigContract.connect(user3).executeTeam();
+      await mineRig(result.rig, user1);
+
+      const quote = await multicall.quoteMine(result.rig, 0);
+      expect(quote.teamAmount).to.equal(0);
+      expect(quote.treasuryAmount).to.equal(quote.price.sub(quote.previousMinerAmount).sub(quote.protocolAmount));
+    });
+  });
+
+  describe("Batch Reads", function () {
+    it("getRigs returns the same state as getRig for each rig", async function () {
+      const first = await launchFreshRig(user2);
+      const second = await launchFreshRig(user3);
+      await mineRig(first.rig, user1);
+
+      const [success, states] = await multicall.getRigs([first.rig, second.rig], user1.address);
+      expect(success).to.deep.equal([true, true]);
+      expect(states[0].miner).to.equal(user1.address);
+      expect(states[0].epochId).to.equal((await multicall.getRig(first.rig, user1.address)).epochId);
+      expect(states[1].miner).to.equal(user3.address);
+      expect(states[1].wethBalance).to.equal(await weth.balanceOf(user1.address));
+    });
+
+    it("getRigs and getAuctions flag failing entries instead of reverting", async function () {
+      const result = await launchFreshRig(user2);
+      const notARig = user4.address;
+
+      const [rigSuccess, rigStates] = await multicall.getRigs([notARig, result.rig, donut.address], user1.address);
+      expect(rigSuccess).to.deep.equal([false, true, false]);
+      expect(rigStates[0].quote).to.equal(AddressZero);
+      expect(rigStates[1].quote).to.equal(weth.address);
+
+      const [auctionSuccess, auctionStates] = await multicall.getAuctions([result.rig, notARig], user1.address);
+      expect(auctionSuccess).to.deep.equal([true, false]);
+      expect(auctionStates[0].paymentToken).to.equal(result.lpToken);
+      expect(auctionStates[1].paymentToken).to.equal(AddressZero);
+
+      const [emptySuccess, emptyStates] = await multicall.getAuctions([], user1.address);
+      expect(emptySuccess).to.be.empty;
+      expect(emptyStates).to.be.empty;
+    });
+  });
+
   // ============================================
   // RIG OWNER FUNCTIONS
   // ============================================
@@ -1126,7 +3098,7 @@ describe("Business Logic Tests", function () {
     it("Cannot set treasury to zero address", async function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
 
-      await expect(rigContract.connect(user0).setTreasury(AddressZero)).to.be.revertedWith(
+      await expect(rigContract.connect(user0).queueTreasury(AddressZero)).to.be.revertedWith(
         "Rig__InvalidTreasury()"
       );
     });
@@ -1135,14 +3107,16 @@ describe("Business Logic Tests", function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
 
       // Setting team to zero should succeed
-      await rigContract.connect(user0).setTeam(AddressZero);
+      await rigContract.connect(user0).queueTeam(AddressZero);
+      await network.provider.send("evm_increaseTime", [86400]);
+      await rigContract.connect(user0).executeTeam();
       expect(await rigContract.team()).to.equal(AddressZero);
     });
 
     it("Non-owner cannot set treasury", async function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
 
-      await expect(rigContract.connect(user1).setTreasury(user1.address)).to.be.revertedWith(
+      await expect(rigContract.connect(user1).queueTreasury(user1.address)).to.be.revertedWith(
         "Ownable: caller is not the owner"
       );
     });
@@ -1150,7 +3124,7 @@ describe("Business Logic Tests", function () {
     it("Non-owner cannot set team", async function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
 
-      await expect(rigContract.connect(user1).setTeam(user1.address)).to.be.revertedWith(
+      await expect(rigContract.connect(user1).queueTeam(user1.address)).to.be.revertedWith(
         "Ownable: caller is not the owner"
       );
     });
@@ -1159,14 +3133,694 @@ describe("Business Logic Tests", function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
 
       await rigContract.connect(user0).transferOwnership(user1.address);
+      await rigContract.connect(user1).acceptOwnership();
       expect(await rigContract.owner()).to.equal(user1.address);
 
       // New owner can set treasury
-      await rigContract.connect(user1).setTreasury(user2.address);
+      await rigContract.connect(user1).queueTreasury(user2.address);
+      await network.provider.send("evm_increaseTime", [86400]);
+      await rigContract.connect(user1).executeTreasury();
+      expect(await rigContract.treasury()).to.equal(user2.address);
+    });
+  });
+
+  // ============================================
+  // TIMELOCKED ADMIN CHANGES
+  // ============================================
+  describe("Timelocked Admin Changes", function () {
+    const ADMIN_DELAY = 2 * 86400;
+    let result, rigContract;
+
+    beforeEach(async function () {
+      result = await launchFreshRig(user3, { rigAdminDelay: ADMIN_DELAY });
+      rigContract = await ethers.getContractAt("Rig", result.rig);
+    });
+
+    it("Treasury change only executes after the rig's admin delay", async function () {
+      expect(await rigContract.adminDelay()).to.equal(ADMIN_DELAY);
+
+      const tx = await rigContract.connect(user3).queueTreasury(user2.address);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx)
+        .to.emit(rigContract, "Rig__TreasuryQueued")
+        .withArgs(user2.address, timestamp + ADMIN_DELAY);
+      expect(await rigContract.treasury()).to.equal(result.auction);
+
+      await expect(rigContract.connect(user3).executeTreasury()).to.be.revertedWith("Rig__ChangeLocked()");
+      await network.provider.send("evm_increaseTime", [ADMIN_DELAY]);
+      await expect(rigContract.connect(user1).executeTreasury()).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+
+      await expect(rigContract.connect(user3).executeTreasury())
+        .to.emit(rigContract, "Rig__TreasurySet")
+        .withArgs(user2.address);
+      expect(await rigContract.treasury()).to.equal(user2.address);
+
+      const pending = await rigContract.pendingTreasury();
+      expect(pending.account).to.equal(AddressZero);
+      expect(pending.unlockTime).to.equal(0);
+      await expect(rigContract.connect(user3).executeTreasury()).to.be.revertedWith("Rig__NoPendingChange()");
+    });
+
+    it("Team change can be cancelled before it executes", async function () {
+      await rigContract.connect(user3).queueTeam(AddressZero);
+      await expect(rigContract.connect(user3).cancelTeam())
+        .to.emit(rigContract, "Rig__TeamCancelled")
+        .withArgs(AddressZero);
+      await expect(rigContract.connect(user3).cancelTeam()).to.be.revertedWith("Rig__NoPendingChange()");
+
+      await network.provider.send("evm_increaseTime", [ADMIN_DELAY]);
+      await expect(rigContract.connect(user3).executeTeam()).to.be.revertedWith("Rig__NoPendingChange()");
+      expect(await rigContract.team()).to.equal(user3.address);
+    });
+
+    it("Requeueing replaces the pending change and restarts the delay", async function () {
+      await rigContract.connect(user3).queueTeam(user1.address);
+      await network.provider.send("evm_increaseTime", [ADMIN_DELAY]);
+      await rigContract.connect(user3).queueTeam(user2.address);
+      await expect(rigContract.connect(user3).executeTeam()).to.be.revertedWith("Rig__ChangeLocked()");
+
+      await network.provider.send("evm_increaseTime", [ADMIN_DELAY]);
+      await rigContract.connect(user3).executeTeam();
+      expect(await rigContract.team()).to.equal(user2.address);
+    });
+
+    it("Multicall exposes pending treasury and team changes", async function () {
+      let state = await multicall.getRig(result.rig, AddressZero);
+      expect(state.adminDelay).to.equal(ADMIN_DELAY);
+      expect(state.pendingTreasuryUnlockTime).to.equal(0);
+      expect(state.pendingTeamUnlockTime).to.equal(0);
+
+      await rigContract.connect(user3).queueTreasury(user2.address);
+      await rigContract.connect(user3).queueTeam(user1.address);
+
+      state = await multicall.getRig(result.rig, AddressZero);
+      const [treasury, treasuryUnlockTime] = await rigContract.pendingTreasury();
+      const [team, teamUnlockTime] = await rigContract.pendingTeam();
+      expect(state.pendingTreasury).to.equal(treasury).to.equal(user2.address);
+      expect(state.pendingTreasuryUnlockTime).to.equal(treasuryUnlockTime).to.not.equal(0);
+      expect(state.pendingTeam).to.equal(team).to.equal(user1.address);
+      expect(state.pendingTeamUnlockTime).to.equal(teamUnlockTime).to.not.equal(0);
+    });
+
+    it("Reverts launch with admin delay above the maximum", async function () {
+      await expect(launchFreshRig(user3, { rigAdminDelay: 30 * 86400 + 1 })).to.be.revertedWith(
+        "Rig__InvalidAdminDelay()"
+      );
+    });
+
+    it("Reverts launch with admin delay below the minimum", async function () {
+      await expect(launchFreshRig(user3, { rigAdminDelay: 0 })).to.be.revertedWith("Rig__InvalidAdminDelay()");
+      await expect(launchFreshRig(user3, { rigAdminDelay: 86400 - 1 })).to.be.revertedWith(
+        "Rig__InvalidAdminDelay()"
+      );
+    });
+
+    it("Queued changes expire ADMIN_CHANGE_EXPIRY after they unlock", async function () {
+      const ADMIN_CHANGE_EXPIRY = 14 * 86400;
+      await rigContract.connect(user3).queueTreasury(user2.address);
+      const [, treasuryUnlockTime] = await rigContract.pendingTreasury();
+
+      // A change queued long ago cannot be executed silently
+      await network.provider.send("evm_setNextBlockTimestamp", [
+        treasuryUnlockTime.add(ADMIN_CHANGE_EXPIRY + 1).toNumber(),
+      ]);
+      await expect(rigContract.connect(user3).executeTreasury()).to.be.revertedWith("Rig__ChangeExpired()");
+      expect(await rigContract.treasury()).to.not.equal(user2.address);
+
+      // Queueing again restarts the delay, and the change executes within its window
+      await rigContract.connect(user3).queueTreasury(user2.address);
+      await network.provider.send("evm_increaseTime", [ADMIN_DELAY]);
+      await rigContract.connect(user3).executeTreasury();
       expect(await rigContract.treasury()).to.equal(user2.address);
     });
   });
 
+  // ============================================
+  // TWO-STEP OWNERSHIP
+  // ============================================
+  describe("Two-Step Ownership", function () {
+    const RENOUNCE_DELAY = 7 * 86400;
+    let rigContract;
+
+    beforeEach(async function () {
+      const result = await launchFreshRig(user3);
+      rigContract = await ethers.getContractAt("Rig", result.rig);
+    });
+
+    it("Launcher owns the rig immediately with no pending owner", async function () {
+      expect(await rigContract.owner()).to.equal(user3.address);
+      expect(await rigContract.pendingOwner()).to.equal(AddressZero);
+    });
+
+    it("Rig transfer only completes when the pending owner accepts", async function () {
+      await expect(rigContract.connect(user3).transferOwnership(user1.address))
+        .to.emit(rigContract, "OwnershipTransferStarted")
+        .withArgs(user3.address, user1.address);
+      expect(await rigContract.owner()).to.equal(user3.address);
+      expect(await rigContract.pendingOwner()).to.equal(user1.address);
+
+      // Checked with callStatic so the revert reason is decoded
+      await expect(rigContract.connect(user2).callStatic.acceptOwnership()).to.be.revertedWith(
+        "Ownable2Step: caller is not the new owner"
+      );
+
+      // A mistyped transfer can be overwritten before it is accepted
+      await rigContract.connect(user3).transferOwnership(user2.address);
+      await expect(rigContract.connect(user1).callStatic.acceptOwnership()).to.be.revertedWith(
+        "Ownable2Step: caller is not the new owner"
+      );
+
+      await expect(rigContract.connect(user2).acceptOwnership())
+        .to.emit(rigContract, "OwnershipTransferred")
+        .withArgs(user3.address, user2.address);
+      expect(await rigContract.owner()).to.equal(user2.address);
+      expect(await rigContract.pendingOwner()).to.equal(AddressZero);
+    });
+
+    it("Rig renounce is blocked until scheduled RENOUNCE_DELAY in advance", async function () {
+      await expect(rigContract.connect(user3).renounceOwnership()).to.be.revertedWith("Rig__RenounceLocked()");
+
+      const tx = await rigContract.connect(user3).scheduleRenounceOwnership();
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx).to.emit(rigContract, "Rig__RenounceScheduled").withArgs(timestamp + RENOUNCE_DELAY);
+      expect(await rigContract.renounceUnlockTime()).to.equal(timestamp + RENOUNCE_DELAY);
+
+      await network.provider.send("evm_increaseTime", [RENOUNCE_DELAY - 10]);
+      await expect(rigContract.connect(user3).renounceOwnership()).to.be.revertedWith("Rig__RenounceLocked()");
+
+      await network.provider.send("evm_increaseTime", [10]);
+      await expect(rigContract.connect(user1).renounceOwnership()).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await rigContract.connect(user3).renounceOwnership();
+      expect(await rigContract.owner()).to.equal(AddressZero);
+    });
+
+    it("Cancelling or transferring ownership clears a scheduled rig renounce", async function () {
+      await expect(rigContract.connect(user1).scheduleRenounceOwnership()).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+
+      await expect(rigContract.connect(user3).cancelRenounceOwnership()).to.be.revertedWith(
+        "Rig__RenounceNotScheduled()"
+      );
+      await rigContract.connect(user3).scheduleRenounceOwnership();
+      await expect(rigContract.connect(user3).cancelRenounceOwnership()).to.emit(
+        rigContract,
+        "Rig__RenounceCancelled"
+      );
+      await expect(rigContract.connect(user3).cancelRenounceOwnership()).to.be.revertedWith(
+        "Rig__RenounceNotScheduled()"
+      );
+      await network.provider.send("evm_increaseTime", [RENOUNCE_DELAY]);
+      await expect(rigContract.connect(user3).renounceOwnership()).to.be.revertedWith("Rig__RenounceLocked()");
+
+      await rigContract.connect(user3).scheduleRenounceOwnership();
+      await network.provider.send("evm_increaseTime", [RENOUNCE_DELAY]);
+      await rigContract.connect(user3).transferOwnership(user1.address);
+      await rigContract.connect(user1).acceptOwnership();
+      expect(await rigContract.renounceUnlockTime()).to.equal(0);
+      await expect(rigContract.connect(user1).renounceOwnership()).to.be.revertedWith("Rig__RenounceLocked()");
+    });
+
+    it("Core uses two-step transfers and a renounce timelock", async function () {
+      await expect(core.connect(owner).transferOwnership(user1.address))
+        .to.emit(core, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+      expect(await core.owner()).to.equal(owner.address);
+      await core.connect(user1).acceptOwnership();
+      expect(await core.owner()).to.equal(user1.address);
+
+      await expect(core.connect(user1).renounceOwnership()).to.be.revertedWith("Core__RenounceLocked()");
+      await expect(core.connect(user1).cancelRenounceOwnership()).to.be.revertedWith("Core__RenounceNotScheduled()");
+      await expect(core.connect(user1).scheduleRenounceOwnership()).to.emit(core, "Core__RenounceScheduled");
+      await expect(core.connect(user1).cancelRenounceOwnership()).to.emit(core, "Core__RenounceCancelled");
+      await expect(core.connect(user1).cancelRenounceOwnership()).to.be.revertedWith("Core__RenounceNotScheduled()");
+      await network.provider.send("evm_increaseTime", [RENOUNCE_DELAY]);
+      await expect(core.connect(user1).renounceOwnership()).to.be.revertedWith("Core__RenounceLocked()");
+
+      // Hand ownership back for the remaining tests
+      await core.connect(user1).transferOwnership(owner.address);
+      await core.connect(owner).acceptOwnership();
+      expect(await core.owner()).to.equal(owner.address);
+    });
+
+    it("Rig cannot be initialized without an owner", async function () {
+      const unit = await deployFreshUnit(user0, "Ownerless Unit", "NOOWN");
+      const params = {
+        unit: unit.address,
+        quote: weth.address,
+        treasury: AddressDead,
+        team: user1.address,
+        core: core.address,
+        owner: AddressZero,
+        uri: "",
+        initialUps: convert("4", 18),
+        tailUps: convert("0.01", 18),
+        halvingPeriod: 86400 * 30,
+        epochPeriod: 3600,
+        priceMultiplier: convert("2", 18),
+        minInitPrice: convert("0.0001", 18),
+        previousMinerFee: 8000,
+        teamFee: 500,
+        protocolFee: 100,
+        revealWindow: 0,
+        commitBond: 0,
+        adminDelay: 86400,
+        emissionSchedule: 0,
+        decayPeriod: 0,
+        stepOffsets: [],
+        stepUps: [],
+        maxSupply: 0,
+        priceCurve: 0,
+        priceHalfLife: 0,
+        priceFloor: 0,
+        priceFloorIsReserve: false,
+      };
+      // The custom error bubbles up through the factory, so compare its selector
+      const error = await rigFactory
+        .connect(user0)
+        .callStatic.deploy(ethers.constants.HashZero, params)
+        .catch((e) => e);
+      expect(error.data).to.equal(rigContract.interface.getSighash("Rig__InvalidOwner"));
+    });
+  });
+
+  // ============================================
+  // GUARDIAN PAUSE
+  // ============================================
+  describe("Guardian Pause", function () {
+    const MAX_PAUSE_DURATION = 3 * 86400;
+    const PAUSE_COOLDOWN = 86400;
+
+    before(async function () {
+      await core.connect(owner).setGuardian(team.address);
+    });
+
+    after(async function () {
+      await core.connect(owner).setGuardian(AddressZero);
+    });
+
+    async function setNextTimestamp(timestamp) {
+      await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    }
+
+    it("Only the owner sets the guardian and only the guardian pauses", async function () {
+      const result = await launchFreshRig(user3);
+
+      await expect(core.connect(user1).setGuardian(user1.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(core.connect(owner).setGuardian(team.address))
+        .to.emit(core, "Core__GuardianSet")
+        .withArgs(team.address);
+      expect(await core.guardian()).to.equal(team.address);
+
+      await expect(core.connect(user1).pause(result.rig)).to.be.revertedWith("Core__NotGuardian()");
+      await expect(core.connect(team).pause(user1.address)).to.be.revertedWith("Core__InvalidRig()");
+      await expect(core.connect(team).unpause(result.rig)).to.be.revertedWith("Core__NotPaused()");
+
+      await core.connect(team).pause(result.rig);
+      await expect(core.connect(team).pause(result.rig)).to.be.revertedWith("Core__AlreadyPaused()");
+      await expect(core.connect(user1).unpause(result.rig)).to.be.revertedWith("Core__NotGuardian()");
+
+      // The owner can also end a pause, after which the rig cannot be paused again until the cooldown passes
+      await expect(core.connect(owner).unpause(result.rig)).to.emit(core, "Core__Unpaused").withArgs(result.rig);
+      await expect(core.connect(team).pause(result.rig)).to.be.revertedWith("Core__PauseCooldown()");
+      await network.provider.send("evm_increaseTime", [PAUSE_COOLDOWN]);
+      await core.connect(team).pause(result.rig);
+      await core.connect(team).unpause(result.rig);
+    });
+
+    it("Pausing a rig blocks mining and auction buys and freezes both price clocks", async function () {
+      const result = await launchFreshRig(user3);
+      const other = await launchFreshRig(user3);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const auctionContract = await ethers.getContractAt("Auction", result.auction);
+      await mineRig(result.rig, user1);
+      await network.provider.send("evm_increaseTime", [600]);
+
+      const tx = await core.connect(team).pause(result.rig);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx)
+        .to.emit(core, "Core__Paused")
+        .withArgs(result.rig, timestamp + MAX_PAUSE_DURATION);
+
+      const rigPrice = await rigContract.getPrice();
+      const auctionPrice = await auctionContract.getPrice();
+      const glazed = (await multicall.getRig(result.rig, AddressZero)).glazed;
+      expect(rigPrice).to.be.gt(0);
+
+      // Two days later nothing has decayed or accrued
+      await network.provider.send("evm_increaseTime", [2 * 86400]);
+      await network.provider.send("evm_mine");
+      expect(await rigContract.getPrice()).to.equal(rigPrice);
+      expect(await auctionContract.getPrice()).to.equal(auctionPrice);
+      const state = await multicall.getRig(result.rig, AddressZero);
+      expect(state.glazed).to.equal(glazed);
+      expect(state.pausedUntil).to.equal(timestamp + MAX_PAUSE_DURATION);
+      expect((await multicall.getAuction(result.rig, AddressZero)).pausedUntil).to.equal(
+        timestamp + MAX_PAUSE_DURATION
+      );
+      expect(await core.isPaused(result.auction)).to.equal(true);
+      expect(await core.isPaused(other.rig)).to.equal(false);
+
+      await weth.connect(user2).deposit({ value: convert("1", 18) });
+      await weth.connect(user2).approve(result.rig, rigPrice);
+      const deadline = await getFutureDeadline();
+      await expect(
+        rigContract.connect(user2).mine(user2.address, 1, deadline, rigPrice, "")
+      ).to.be.revertedWith("Rig__Paused()");
+      await expect(
+        auctionContract.connect(user2).buy([weth.address], user2.address, 0, deadline, auctionPrice)
+      ).to.be.revertedWith("Auction__Paused()");
+      await mineRig(other.rig, user2);
+
+      // After unpausing, the auction resumes from the frozen price rather than jumping ahead
+      await core.connect(team).unpause(result.rig);
+      expect((await multicall.getRig(result.rig, AddressZero)).pausedUntil).to.equal(0);
+      const tx2 = await rigContract.connect(user2).mine(user2.address, 1, deadline, rigPrice, "");
+      const minedEvent = (await tx2.wait()).events.find((e) => e.event === "Rig__Mined");
+      expect(minedEvent.args.price).to.be.lte(rigPrice);
+      expect(minedEvent.args.price).to.be.closeTo(rigPrice, rigPrice.div(1000));
+    });
+
+    it("Pauses end automatically after MAX_PAUSE_DURATION", async function () {
+      const result = await launchFreshRig(user3);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+
+      const tx = await core.connect(team).pause(result.rig);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const pausedBefore = await core.getPausedTime(result.rig, timestamp);
+
+      await network.provider.send("evm_increaseTime", [MAX_PAUSE_DURATION + 86400]);
+      await network.provider.send("evm_mine");
+      expect(await core.isPaused(result.rig)).to.equal(false);
+      expect(await core.getPausedUntil(result.rig)).to.equal(0);
+
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      expect((await core.getPausedTime(result.rig, now)).sub(pausedBefore)).to.equal(MAX_PAUSE_DURATION);
+      await expect(core.connect(team).unpause(result.rig)).to.be.revertedWith("Core__NotPaused()");
+
+      // Only the day after the pause counts, so the epoch is one day in: past the 1 hour epoch, price is 0
+      expect(await rigContract.getPrice()).to.equal(0);
+      await mineRig(result.rig, user1);
+    });
+
+    it("Pauses extend the commit-reveal window", async function () {
+      const result = await launchFreshRig(user3, { rigRevealWindow: 300 });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const maxPrice = convert("1", 18);
+      const salt = ethers.utils.formatBytes32String("pause");
+      const hash = ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(
+          ["address", "uint256", "bytes32", "bytes32"],
+          [user1.address, maxPrice, ethers.utils.keccak256(ethers.utils.toUtf8Bytes("")), salt]
+        )
+      );
+      await weth.connect(user1).deposit({ value: convert("1", 18) });
+      await weth.connect(user1).approve(result.rig, maxPrice);
+
+      await rigContract.connect(user1).commit(hash);
+      await core.connect(team).pause(result.rig);
+      await expect(rigContract.connect(user2).commit(hash)).to.be.revertedWith("Rig__Paused()");
+      await network.provider.send("evm_increaseTime", [86400]);
+      await expect(rigContract.connect(user1).reveal(user1.address, maxPrice, "", salt)).to.be.revertedWith(
+        "Rig__Paused()"
+      );
+      await expect(rigContract.connect(user1).clearCommitment()).to.be.revertedWith("Rig__CommitmentActive()");
+
+      await core.connect(team).unpause(result.rig);
+      await expect(rigContract.connect(user1).reveal(user1.address, maxPrice, "", salt)).to.emit(
+        rigContract,
+        "Rig__Mined"
+      );
+    });
+
+    it("Global pause covers every rig and counts toward their pause cooldown", async function () {
+      // Let earlier rig pauses and their cooldowns run out
+      await network.provider.send("evm_increaseTime", [MAX_PAUSE_DURATION + PAUSE_COOLDOWN]);
+      const first = await launchFreshRig(user3);
+      const second = await launchFreshRig(user3);
+      const start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+      const firstBefore = await core.getPausedTime(first.rig, start);
+      const secondBefore = await core.getPausedTime(second.rig, start);
+
+      await setNextTimestamp(start);
+      await core.connect(team).pause(AddressZero);
+      expect(await core.isPaused(second.rig)).to.equal(true);
+      expect(await core.isPaused(second.auction)).to.equal(true);
+      await expect(mineRig(second.rig, user1)).to.be.revertedWith("Rig__Paused()");
+      await expect(core.connect(team).pause(first.rig)).to.be.revertedWith("Core__AlreadyPaused()");
+
+      await setNextTimestamp(start + 100);
+      await core.connect(owner).unpause(AddressZero);
+      expect(await core.isPaused(first.rig)).to.equal(false);
+      await expect(core.connect(team).pause(first.rig)).to.be.revertedWith("Core__PauseCooldown()");
+
+      const end = start + 100;
+      expect((await core.getPausedTime(first.rig, end)).sub(firstBefore)).to.equal(100);
+      expect((await core.getPausedTime(second.rig, end)).sub(secondBefore)).to.equal(100);
+      await mineRig(second.rig, user1);
+    });
+
+    it("Rig pauses never block a global pause", async function () {
+      await network.provider.send("evm_increaseTime", [PAUSE_COOLDOWN]);
+      const result = await launchFreshRig(user3);
+      const other = await launchFreshRig(user3);
+      const start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+
+      // A global pause starts while one rig is paused and right after another rig was unpaused early
+      await setNextTimestamp(start);
+      await core.connect(team).pause(other.rig);
+      await setNextTimestamp(start + 1);
+      await core.connect(team).unpause(other.rig);
+      await setNextTimestamp(start + 2);
+      await core.connect(team).pause(result.rig);
+      const rigPauseEnd = start + 2 + MAX_PAUSE_DURATION;
+      await setNextTimestamp(start + 3);
+      await core.connect(team).pause(AddressZero);
+      expect(await core.isPaused(other.rig)).to.equal(true);
+
+      // Ending the global pause leaves the rig pause running
+      const globalEnd = start + 100;
+      await setNextTimestamp(globalEnd);
+      await core.connect(owner).unpause(AddressZero);
+      expect(await core.isPaused(result.rig)).to.equal(true);
+      expect(await core.isPaused(other.rig)).to.equal(false);
+      await expect(core.connect(team).pause(AddressZero)).to.be.revertedWith("Core__PauseCooldown()");
+      await expect(core.connect(team).pause(other.rig)).to.be.revertedWith("Core__PauseCooldown()");
+      await expect(core.connect(team).pause(result.rig)).to.be.revertedWith("Core__AlreadyPaused()");
+
+      // Each rig waits on its own latest pause, whichever scope it came from
+      await setNextTimestamp(globalEnd + PAUSE_COOLDOWN);
+      await core.connect(team).pause(other.rig);
+      await core.connect(team).unpause(other.rig);
+      await setNextTimestamp(rigPauseEnd);
+      await expect(core.connect(team).pause(result.rig)).to.be.revertedWith("Core__PauseCooldown()");
+      await setNextTimestamp(rigPauseEnd + PAUSE_COOLDOWN);
+      await core.connect(team).pause(result.rig);
+      await core.connect(team).unpause(result.rig);
+    });
+  });
+
+  // ============================================
+  // URI RULES
+  // ============================================
+  describe("URI Rules", function () {
+    after(async function () {
+      await core.connect(owner).setUriRules(256, false);
+    });
+
+    async function mineWithUri(rigContract, miner, epochUri) {
+      const epochId = await rigContract.epochId();
+      const price = await rigContract.getPrice();
+      await weth.connect(miner).deposit({ value: convert("1", 18) });
+      await weth.connect(miner).approve(rigContract.address, price);
+      return rigContract.connect(miner).mine(miner.address, epochId, await getFutureDeadline(), price, epochUri);
+    }
+
+    it("Only the owner sets the URI rules", async function () {
+      expect(await core.maxUriLength()).to.equal(256);
+      expect(await core.restrictUriSchemes()).to.equal(false);
+
+      await expect(core.connect(user1).setUriRules(64, true)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(core.connect(owner).setUriRules(0, true)).to.be.revertedWith("Core__InvalidMaxUriLength()");
+      await expect(core.connect(owner).setUriRules(64, true))
+        .to.emit(core, "Core__UriRulesSet")
+        .withArgs(64, true);
+
+      const [maxLength, restrictSchemes] = await core.getUriRules();
+      expect(maxLength).to.equal(64);
+      expect(restrictSchemes).to.equal(true);
+
+      await core.connect(owner).setUriRules(256, false);
+    });
+
+    it("Max length is enforced on launch, mine and setUri", async function () {
+      await core.connect(owner).setUriRules(32, false);
+      const result = await launchFreshRig(user3, { uri: "x".repeat(32) });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+
+      await expect(launchFreshRig(user3, { uri: "x".repeat(33) })).to.be.revertedWith("Core__UriTooLong()");
+
+      await mineWithUri(rigContract, user1, "x".repeat(32));
+      expect(await rigContract.epochUri()).to.equal("x".repeat(32));
+      await expect(mineWithUri(rigContract, user1, "x".repeat(33))).to.be.revertedWith("Rig__UriTooLong()");
+
+      await expect(rigContract.connect(user3).setUri("x".repeat(33))).to.be.revertedWith("Rig__UriTooLong()");
+      await rigContract.connect(user3).setUri("");
+      expect(await rigContract.uri()).to.equal("");
+
+      // Lowering the limit does not touch stored URIs
+      await core.connect(owner).setUriRules(8, false);
+      expect(await rigContract.epochUri()).to.equal("x".repeat(32));
+      await mineWithUri(rigContract, user2, "");
+      expect(await rigContract.epochUri()).to.equal("");
+
+      await core.connect(owner).setUriRules(256, false);
+    });
+
+    it("Scheme allowlist only admits ipfs, ar and https URIs when enabled", async function () {
+      const result = await launchFreshRig(user3, { uri: "http://example.com" });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      await mineWithUri(rigContract, user1, "data:text/plain,hi");
+
+      await core.connect(owner).setUriRules(256, true);
+
+      for (const allowed of ["ipfs://bafy", "ar://tx", "https://example.com", ""]) {
+        await mineWithUri(rigContract, user1, allowed);
+        expect(await rigContract.epochUri()).to.equal(allowed);
+        await rigContract.connect(user3).setUri(allowed);
+        expect(await rigContract.uri()).to.equal(allowed);
+      }
+
+      for (const rejected of ["http://example.com", "IPFS://bafy", "ipfs:/bafy", "data:text/plain,hi", "ar:"]) {
+        await expect(mineWithUri(rigContract, user1, rejected)).to.be.revertedWith("Rig__InvalidUriScheme()");
+        await expect(rigContract.connect(user3).setUri(rejected)).to.be.revertedWith("Rig__InvalidUriScheme()");
+      }
+
+      await expect(launchFreshRig(user3, { uri: "http://example.com" })).to.be.revertedWith(
+        "Core__InvalidUriScheme()"
+      );
+      await launchFreshRig(user3, { uri: "ipfs://bafy" });
+    });
+
+    it("Reveals are checked against the URI rules", async function () {
+      const result = await launchFreshRig(user3, { rigRevealWindow: 300 });
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      const salt = ethers.utils.formatBytes32String("uri");
+      const maxPrice = convert("1", 18);
+      const epochUri = "x".repeat(300);
+      const commitHash = ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(
+          ["address", "uint256", "bytes32", "bytes32"],
+          [user1.address, maxPrice, ethers.utils.keccak256(ethers.utils.toUtf8Bytes(epochUri)), salt]
+        )
+      );
+
+      await weth.connect(user1).deposit({ value: maxPrice });
+      await weth.connect(user1).approve(rigContract.address, maxPrice);
+      await rigContract.connect(user1).commit(commitHash);
+      await expect(rigContract.connect(user1).reveal(user1.address, maxPrice, epochUri, salt)).to.be.revertedWith(
+        "Rig__UriTooLong()"
+      );
+    });
+  });
+
+  // ============================================
+  // EPOCH URI MODERATION
+  // ============================================
+  describe("Epoch URI Moderation", function () {
+    after(async function () {
+      await core.connect(owner).setModerator(AddressZero);
+    });
+
+    async function mineWithUri(rigContract, miner, epochUri) {
+      const epochId = await rigContract.epochId();
+      const price = await rigContract.getPrice();
+      await weth.connect(miner).deposit({ value: convert("1", 18) });
+      await weth.connect(miner).approve(rigContract.address, price);
+      return rigContract.connect(miner).mine(miner.address, epochId, await getFutureDeadline(), price, epochUri);
+    }
+
+    it("Only the owner sets the moderator", async function () {
+      await expect(core.connect(user1).setModerator(user1.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(core.connect(owner).setModerator(team.address))
+        .to.emit(core, "Core__ModeratorSet")
+        .withArgs(team.address);
+      expect(await core.moderator()).to.equal(team.address);
+    });
+
+    it("Rig owner and moderator can hide the current epoch URI", async function () {
+      const result = await launchFreshRig(user3);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      await mineWithUri(rigContract, user1, "https://abuse.example");
+      const epochId = await rigContract.epochId();
+
+      await expect(rigContract.connect(user1).setEpochUriHidden(epochId, true)).to.be.revertedWith(
+        "Rig__NotModerator()"
+      );
+
+      await expect(rigContract.connect(team).setEpochUriHidden(epochId, true))
+        .to.emit(rigContract, "Rig__EpochUriHiddenSet")
+        .withArgs(epochId, true);
+      expect(await rigContract.epochUriHidden()).to.equal(true);
+
+      await expect(rigContract.connect(user3).setEpochUriHidden(epochId, false))
+        .to.emit(rigContract, "Rig__EpochUriHiddenSet")
+        .withArgs(epochId, false);
+      expect(await rigContract.epochUriHidden()).to.equal(false);
+      await rigContract.connect(user3).setEpochUriHidden(epochId, true);
+
+      // Removing the moderator leaves moderation to the rig owner
+      await core.connect(owner).setModerator(AddressZero);
+      await expect(rigContract.connect(team).setEpochUriHidden(epochId, false)).to.be.revertedWith(
+        "Rig__NotModerator()"
+      );
+      await core.connect(owner).setModerator(team.address);
+    });
+
+    it("Hiding keeps the miner record and economics and resets on the next mine", async function () {
+      const result = await launchFreshRig(user3);
+      const rigContract = await ethers.getContractAt("Rig", result.rig);
+      await mineWithUri(rigContract, user1, "https://abuse.example");
+      const epochId = await rigContract.epochId();
+      await network.provider.send("evm_increaseTime", [600]);
+      await network.provider.send("evm_mine");
+
+      const quoteBefore = await rigContract.getMineQuote((await ethers.provider.getBlock("latest")).timestamp);
+      await rigContract.connect(team).setEpochUriHidden(epochId, true);
+      const quoteAfter = await rigContract.getMineQuote((await ethers.provider.getBlock("latest")).timestamp - 1);
+
+      expect(await rigContract.epochUri()).to.equal("https://abuse.example");
+      expect(await rigContract.epochMiner()).to.equal(user1.address);
+      expect(quoteAfter.price).to.equal(quoteBefore.price);
+      expect(quoteAfter.minedAmount).to.equal(quoteBefore.minedAmount);
+
+      const state = await multicall.getRig(result.rig, AddressZero);
+      expect(state.hidden).to.equal(true);
+      expect(state.epochUri).to.equal("https://abuse.example");
+
+      await mineWithUri(rigContract, user2, "ipfs://fine");
+      expect(await rigContract.epochUriHidden()).to.equal(false);
+      expect((await multicall.getRig(result.rig, AddressZero)).hidden).to.equal(false);
+
+      // A flag meant for the previous epoch cannot land on the new URI
+      await expect(rigContract.connect(team).setEpochUriHidden(epochId, true)).to.be.revertedWith(
+        "Rig__EpochIdMismatch()"
+      );
+      await rigContract.connect(team).setEpochUriHidden(epochId.add(1), true);
+      expect(await rigContract.epochUriHidden()).to.equal(true);
+    });
+  });
+
   // ============================================
   // AUCTION PARAMETER VALIDATION
   // ============================================
@@ -1192,6 +3846,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 60, // Below 1 hour minimum
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Auction__EpochPeriodBelowMin()");
     });
@@ -1217,6 +3896,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.05", 18), // Below 1.1x minimum
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Auction__PriceMultiplierBelowMin()");
     });
@@ -1242,6 +3946,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("4", 18), // Above 3x maximum
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Auction__PriceMultiplierExceedsMax()");
     });
@@ -1267,6 +3996,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: 100, // Below 1e6 minimum
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Auction__MinInitPriceBelowMin()");
     });
@@ -1297,6 +4051,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__EpochPeriodOutOfRange()");
     });
@@ -1322,6 +4101,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__EpochPeriodOutOfRange()");
     });
@@ -1347,6 +4151,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__PriceMultiplierOutOfRange()");
     });
@@ -1372,6 +4201,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__PriceMultiplierOutOfRange()");
     });
@@ -1397,6 +4251,31 @@ describe("Business Logic Tests", function () {
           auctionEpochPeriod: 86400,
           auctionPriceMultiplier: convert("1.2", 18),
           auctionMinInitPrice: convert("0.001", 18),
+          auctionPriceCurve: 0,
+          auctionPriceHalfLife: 0,
+          auctionPriceFloor: 0,
+          auctionPriceFloorIsReserve: false,
+          auctionReservePrice: 0,
+          auctionRestartOnExpiry: false,
+          auctionPaymentMode: 0,
+          auctionPaymentReceiver: ethers.constants.AddressZero,
+          quoteToken: weth.address,
+          previousMinerFee: 8000,
+          teamFee: 400,
+          protocolFee: 100,
+          rigRevealWindow: 0,
+          rigCommitBond: 0,
+          rigPriceCurve: 0,
+          rigPriceHalfLife: 0,
+          rigPriceFloor: 0,
+          rigPriceFloorIsReserve: false,
+          rigAdminDelay: 86400,
+          emissionSchedule: 0,
+          decayPeriod: 0,
+          emissionStepOffsets: [],
+          emissionStepUps: [],
+          maxSupply: 0,
+          salt: ethers.constants.HashZero,
         })
       ).to.be.revertedWith("Rig__MinInitPriceBelowAbsoluteMin()");
     });
@@ -1422,6 +4301,31 @@ describe("Business Logic Tests", function () {
         auctionEpochPeriod: 86400,
         auctionPriceMultiplier: convert("1.1", 18),
         auctionMinInitPrice: convert("0.001", 18),
+        auctionPriceCurve: 0,
+        auctionPriceHalfLife: 0,
+        auctionPriceFloor: 0,
+        auctionPriceFloorIsReserve: false,
+        auctionReservePrice: 0,
+        auctionRestartOnExpiry: false,
+        auctionPaymentMode: 0,
+        auctionPaymentReceiver: ethers.constants.AddressZero,
+        quoteToken: weth.address,
+        previousMinerFee: 8000,
+        teamFee: 400,
+        protocolFee: 100,
+        rigRevealWindow: 0,
+        rigCommitBond: 0,
+        rigPriceCurve: 0,
+        rigPriceHalfLife: 0,
+        rigPriceFloor: 0,
+        rigPriceFloorIsReserve: false,
+        rigAdminDelay: 86400,
+        emissionSchedule: 0,
+        decayPeriod: 0,
+        emissionStepOffsets: [],
+        emissionStepUps: [],
+        maxSupply: 0,
+        salt: ethers.constants.HashZero,
       });
 
       const receipt = await tx.wait();
@@ -1449,6 +4353,31 @@ describe("Business Logic Tests", function () {
         auctionEpochPeriod: 86400,
         auctionPriceMultiplier: convert("1.1", 18),
         auctionMinInitPrice: convert("0.001", 18),
+        auctionPriceCurve: 0,
+        auctionPriceHalfLife: 0,
+        auctionPriceFloor: 0,
+        auctionPriceFloorIsReserve: false,
+        auctionReservePrice: 0,
+        auctionRestartOnExpiry: false,
+        auctionPaymentMode: 0,
+        auctionPaymentReceiver: ethers.constants.AddressZero,
+        quoteToken: weth.address,
+        previousMinerFee: 8000,
+        teamFee: 400,
+        protocolFee: 100,
+        rigRevealWindow: 0,
+        rigCommitBond: 0,
+        rigPriceCurve: 0,
+        rigPriceHalfLife: 0,
+        rigPriceFloor: 0,
+        rigPriceFloorIsReserve: false,
+        rigAdminDelay: 86400,
+        emissionSchedule: 0,
+        decayPeriod: 0,
+        emissionStepOffsets: [],
+        emissionStepUps: [],
+        maxSupply: 0,
+        salt: ethers.constants.HashZero,
       });
 
       const receipt = await tx.wait();
@@ -1498,12 +4427,14 @@ describe("Business Logic Tests", function () {
       const result = await launchFreshRig(user0);
       const rigContract = await ethers.getContractAt("Rig", result.rig);
 
+      // Change treasury to user3
+      await rigContract.connect(user0).queueTreasury(user3.address);
+      await network.provider.send("evm_increaseTime", [86400]);
+      await rigContract.connect(user0).executeTreasury();
+
       // Mine once
       await mineRig(result.rig, user1);
 
-      // Change treasury to user3
-      await rigContract.connect(user0).setTreasury(user3.address);
-
       const user3Before = await weth.balanceOf(user3.address);
 
       // Mine again - fees should go to new treasury
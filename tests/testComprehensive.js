@@ -81,6 +81,7 @@ describe("Comprehensive Security Tests", function () {
         const Multicall = await ethers.getContractFactory("Multicall");
         multicall = await Multicall.deploy(core.address, WETH.address, DONUT.address);
         await multicall.deployed();
+        await core.setMulticall(multicall.address);
 
         // Fund all users
         for (const user of [user0, user1, user2, user3, attacker]) {
@@ -106,7 +107,32 @@ describe("Comprehensive Security Tests", function () {
             auctionInitPrice: convert("1", 18),
             auctionEpochPeriod: 3600,
             auctionPriceMultiplier: convert("2", 18),
-            auctionMinInitPrice: convert("0.1", 18)
+            auctionMinInitPrice: convert("0.1", 18),
+            auctionPriceCurve: 0,
+            auctionPriceHalfLife: 0,
+            auctionPriceFloor: 0,
+            auctionPriceFloorIsReserve: false,
+            auctionReservePrice: 0,
+            auctionRestartOnExpiry: false,
+            auctionPaymentMode: 0,
+            auctionPaymentReceiver: ethers.constants.AddressZero,
+            quoteToken: WETH.address,
+            previousMinerFee: 8000,
+            teamFee: 400,
+            protocolFee: 100,
+            rigRevealWindow: 0,
+            rigCommitBond: 0,
+            rigPriceCurve: 0,
+            rigPriceHalfLife: 0,
+            rigPriceFloor: 0,
+            rigPriceFloorIsReserve: false,
+            rigAdminDelay: 86400,
+            emissionSchedule: 0,
+            decayPeriod: 0,
+            emissionStepOffsets: [],
+            emissionStepUps: [],
+            maxSupply: 0,
+            salt: ethers.constants.HashZero
         };
 
         const params = { ...defaults, ...options };
@@ -319,10 +345,11 @@ describe("Comprehensive Security Tests", function () {
             const deadline = await getFutureDeadline();
             const price = await rig.getPrice();
 
+            const ethBefore = await ethers.provider.getBalance(user1.address);
             const wethBefore = await WETH.balanceOf(user1.address);
 
             // Send 10x the price
-            await multicall.connect(user1).mine(
+            const tx = await multicall.connect(user1).mine(
                 rig.address,
                 0,
                 deadline,
@@ -330,11 +357,13 @@ describe("Comprehensive Security Tests", function () {
                 "overpay",
                 { value: price.mul(10) }
             );
+            const receipt = await tx.wait();
+            const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
-            const wethAfter = await WETH.balanceOf(user1.address);
-            // Excess should be refunded as WETH
-            const refund = wethAfter.sub(wethBefore);
-            expect(refund).to.be.gt(price.mul(8)); // At least 80% refunded
+            // Excess should be refunded as ETH, so at most the price (plus gas) is spent
+            const spent = ethBefore.sub(await ethers.provider.getBalance(user1.address)).sub(gasCost);
+            expect(spent).to.be.lte(price);
+            expect(await WETH.balanceOf(user1.address)).to.equal(wethBefore);
         });
 
         it("EXPLOIT: Send zero ETH to mine", async function () {
@@ -847,7 +876,7 @@ describe("Comprehensive Security Tests", function () {
         it("FUZZ: Random URI lengths", async function () {
             const { rig } = await launchRig(user0);
 
-            const uriLengths = [0, 1, 10, 100, 1000, 5000];
+            const uriLengths = [0, 1, 10, 100, 256];
 
             for (let i = 0; i < uriLengths.length; i++) {
                 const uri = "x".repeat(uriLengths[i]);
@@ -860,6 +889,12 @@ describe("Comprehensive Security Tests", function () {
                 const storedUri = await rig.epochUri();
                 expect(storedUri).to.equal(uri);
             }
+
+            const deadline = await getFutureDeadline();
+            const price = await rig.getPrice();
+            await expect(
+                rig.connect(user1).mine(user1.address, uriLengths.length, deadline, price, "x".repeat(257))
+            ).to.be.revertedWith("Rig__UriTooLong()");
         });
 
         it("FUZZ: Various token amounts don't cause overflow", async function () {
@@ -73,6 +73,7 @@ describe("Core Tests", function () {
     // Deploy Multicall
     const multicallArtifact = await ethers.getContractFactory("Multicall");
     multicall = await multicallArtifact.deploy(core.address, weth.address, donut.address);
+    await core.setMulticall(multicall.address);
     console.log("- Multicall Initialized");
 
     // Mint DONUT to user0 for launching
@@ -111,6 +112,31 @@ describe("Core Tests", function () {
       auctionEpochPeriod: 86400, // 1 day
       auctionPriceMultiplier: convert("1.2", 18),
       auctionMinInitPrice: convert("0.001", 18),
+      auctionPriceCurve: 0,
+      auctionPriceHalfLife: 0,
+      auctionPriceFloor: 0,
+      auctionPriceFloorIsReserve: false,
+      auctionReservePrice: 0,
+      auctionRestartOnExpiry: false,
+      auctionPaymentMode: 0,
+      auctionPaymentReceiver: ethers.constants.AddressZero,
+      quoteToken: weth.address,
+      previousMinerFee: 8000,
+      teamFee: 400,
+      protocolFee: 100,
+      rigRevealWindow: 0,
+      rigCommitBond: 0,
+      rigPriceCurve: 0,
+      rigPriceHalfLife: 0,
+      rigPriceFloor: 0,
+      rigPriceFloorIsReserve: false,
+      rigAdminDelay: 86400,
+      emissionSchedule: 0,
+      decayPeriod: 0,
+      emissionStepOffsets: [],
+      emissionStepUps: [],
+      maxSupply: 0,
+      salt: ethers.constants.HashZero,
     };
 
     // Approve DONUT
@@ -277,16 +303,20 @@ describe("Core Tests", function () {
 
     // Only owner (launcher) can change treasury
     await expect(
-      rigContract.connect(user1).setTreasury(user1.address)
+      rigContract.connect(user1).queueTreasury(user1.address)
     ).to.be.revertedWith("Ownable: caller is not the owner");
 
     // Owner can change treasury
-    await rigContract.connect(user0).setTreasury(user0.address);
+    await rigContract.connect(user0).queueTreasury(user0.address);
+    await network.provider.send("evm_increaseTime", [86400]);
+    await rigContract.connect(user0).executeTreasury();
     expect(await rigContract.treasury()).to.equal(user0.address);
     console.log("Treasury changed to:", await rigContract.treasury());
 
     // Change back to auction
-    await rigContract.connect(user0).setTreasury(auction);
+    await rigContract.connect(user0).queueTreasury(auction);
+    await network.provider.send("evm_increaseTime", [86400]);
+    await rigContract.connect(user0).executeTreasury();
   });
 
   it("Launcher can change team", async function () {
@@ -294,7 +324,9 @@ describe("Core Tests", function () {
     const rigContract = await ethers.getContractAt("Rig", rig);
 
     const newTeam = user1.address;
-    await rigContract.connect(user0).setTeam(newTeam);
+    await rigContract.connect(user0).queueTeam(newTeam);
+    await network.provider.send("evm_increaseTime", [86400]);
+    await rigContract.connect(user0).executeTeam();
     expect(await rigContract.team()).to.equal(newTeam);
     console.log("Team changed to:", await rigContract.team());
   });
@@ -342,6 +374,31 @@ describe("Core Tests", function () {
       auctionEpochPeriod: 86400,
       auctionPriceMultiplier: convert("1.2", 18),
       auctionMinInitPrice: convert("0.001", 18),
+      auctionPriceCurve: 0,
+      auctionPriceHalfLife: 0,
+      auctionPriceFloor: 0,
+      auctionPriceFloorIsReserve: false,
+      auctionReservePrice: 0,
+      auctionRestartOnExpiry: false,
+      auctionPaymentMode: 0,
+      auctionPaymentReceiver: ethers.constants.AddressZero,
+      quoteToken: weth.address,
+      previousMinerFee: 8000,
+      teamFee: 400,
+      protocolFee: 100,
+      rigRevealWindow: 0,
+      rigCommitBond: 0,
+      rigPriceCurve: 0,
+      rigPriceHalfLife: 0,
+      rigPriceFloor: 0,
+      rigPriceFloorIsReserve: false,
+      rigAdminDelay: 86400,
+      emissionSchedule: 0,
+      decayPeriod: 0,
+      emissionStepOffsets: [],
+      emissionStepUps: [],
+      maxSupply: 0,
+      salt: ethers.constants.HashZero,
     };
 
     await donut.connect(user0).approve(core.address, launchParams.donutAmount);
@@ -373,6 +430,31 @@ describe("Core Tests", function () {
       auctionEpochPeriod: 86400,
       auctionPriceMultiplier: convert("1.2", 18),
       auctionMinInitPrice: convert("0.001", 18),
+      auctionPriceCurve: 0,
+      auctionPriceHalfLife: 0,
+      auctionPriceFloor: 0,
+      auctionPriceFloorIsReserve: false,
+      auctionReservePrice: 0,
+      auctionRestartOnExpiry: false,
+      auctionPaymentMode: 0,
+      auctionPaymentReceiver: ethers.constants.AddressZero,
+      quoteToken: weth.address,
+      previousMinerFee: 8000,
+      teamFee: 400,
+      protocolFee: 100,
+      rigRevealWindow: 0,
+      rigCommitBond: 0,
+      rigPriceCurve: 0,
+      rigPriceHalfLife: 0,
+      rigPriceFloor: 0,
+      rigPriceFloorIsReserve: false,
+      rigAdminDelay: 86400,
+      emissionSchedule: 0,
+      decayPeriod: 0,
+      emissionStepOffsets: [],
+      emissionStepUps: [],
+      maxSupply: 0,
+      salt: ethers.constants.HashZero,
     };
 
     await donut.connect(user0).approve(core.address, launchParams.donutAmount);
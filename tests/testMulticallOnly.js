@@ -82,6 +82,7 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
         // Deploy Multicall
         const Multicall = await ethers.getContractFactory("Multicall");
         multicall = await Multicall.deploy(core.address, weth.address, donut.address);
+        await core.setMulticall(multicall.address);
 
         // Give users DONUT tokens (more for multiple launches)
         for (const user of [user0, user1, user2, user3]) {
@@ -111,6 +112,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.2", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             // Approve DONUT to Multicall
@@ -155,6 +181,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user1).approve(multicall.address, launchParams.donutAmount);
@@ -187,6 +238,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             // Don't approve
@@ -212,6 +288,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user2).approve(multicall.address, launchParams.donutAmount);
@@ -246,6 +347,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.2", 18),
                 auctionMinInitPrice: convert("0.01", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user0).approve(multicall.address, launchParams.donutAmount);
@@ -278,15 +404,16 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
             expect(await rig.epochUri()).to.equal("First mine via Multicall");
         });
 
-        it("Refunds excess ETH as WETH", async function () {
+        it("Refunds excess ETH as ETH", async function () {
             const epochId = await rig.epochId();
             const price = await rig.getPrice();
             const deadline = await getFutureDeadline();
 
+            const ethBalanceBefore = await ethers.provider.getBalance(user2.address);
             const wethBalanceBefore = await weth.balanceOf(user2.address);
             const excessAmount = convert("1", 18);
 
-            await multicall.connect(user2).mine(
+            const tx = await multicall.connect(user2).mine(
                 rig.address,
                 epochId,
                 deadline,
@@ -294,10 +421,17 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 "Excess refund test",
                 { value: price.add(excessAmount) }
             );
-
-            const wethBalanceAfter = await weth.balanceOf(user2.address);
-            // Should have received refund as WETH (approximately the excess)
-            expect(wethBalanceAfter.sub(wethBalanceBefore)).to.be.closeTo(excessAmount, excessAmount.div(100));
+            const receipt = await tx.wait();
+            const minedEvent = receipt.events
+                .filter((e) => e.address === rig.address)
+                .map((e) => rig.interface.parseLog(e))
+                .find((e) => e.name === "Rig__Mined");
+            const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+            // Exactly the price paid (plus gas) leaves the wallet; the rest comes back as ETH
+            const ethBalanceAfter = await ethers.provider.getBalance(user2.address);
+            expect(ethBalanceBefore.sub(ethBalanceAfter)).to.equal(minedEvent.args.price.add(gasCost));
+            expect(await weth.balanceOf(user2.address)).to.equal(wethBalanceBefore);
         });
 
         it("Previous miner receives Unit tokens after next mine", async function () {
@@ -441,6 +575,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 43200,
                 auctionPriceMultiplier: convert("1.3", 18),
                 auctionMinInitPrice: convert("0.005", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user0).approve(multicall.address, launchParams.donutAmount);
@@ -629,6 +788,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 3600,
                 auctionPriceMultiplier: convert("1.2", 18),
                 auctionMinInitPrice: convert("0.01", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user0).approve(multicall.address, launchParams.donutAmount);
@@ -764,6 +948,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 3600,
                 auctionPriceMultiplier: convert("1.2", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user0).approve(multicall.address, launchParams.donutAmount);
@@ -855,6 +1064,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 3600,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user0).approve(multicall.address, launchParams.donutAmount);
@@ -914,6 +1148,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 3600,
                 auctionPriceMultiplier: convert("1.2", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user1).approve(multicall.address, launchParams.donutAmount);
@@ -983,6 +1242,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 3600,
                 auctionPriceMultiplier: convert("1.2", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user0).approve(multicall.address, launchParams.donutAmount);
@@ -1010,8 +1294,8 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
             );
 
             const wethAfter = await weth.balanceOf(user1.address);
-            // Should receive minimal or no refund
-            expect(wethAfter.sub(wethBefore)).to.be.lte(convert("0.0001", 18));
+            // Any refund comes back as ETH, never WETH
+            expect(wethAfter).to.equal(wethBefore);
         });
 
         it("Query non-existent rig reverts", async function () {
@@ -1049,8 +1333,8 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
             expect(await rig.epochMiner()).to.equal(user1.address);
         });
 
-        it("Long URI strings work via Multicall", async function () {
-            const longUri = "x".repeat(5000);
+        it("Max length URI strings work via Multicall", async function () {
+            const longUri = "x".repeat(256);
             const epochId = await rig.epochId();
             const price = await rig.getPrice();
             const deadline = await getFutureDeadline();
@@ -1090,6 +1374,31 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             };
 
             await donut.connect(user3).approve(multicall.address, launchParams.donutAmount);
@@ -1097,7 +1406,7 @@ describe("Multicall-Only Tests (Frontend Simulation)", function () {
             const receipt = await tx.wait();
 
             console.log(`    Launch gas used: ${receipt.gasUsed.toString()}`);
-            expect(receipt.gasUsed).to.be.lt(6000000); // Reasonable limit
+            expect(receipt.gasUsed).to.be.lt(5000000); // Reasonable limit (Rig/Auction are deployed as clones)
         });
 
         it("Mine gas cost", async function () {
@@ -45,6 +45,31 @@ async function launchFreshRig(launcher, params = {}) {
     auctionEpochPeriod: 86400,
     auctionPriceMultiplier: convert("1.2", 18),
     auctionMinInitPrice: convert("0.001", 18),
+    auctionPriceCurve: 0,
+    auctionPriceHalfLife: 0,
+    auctionPriceFloor: 0,
+    auctionPriceFloorIsReserve: false,
+    auctionReservePrice: 0,
+    auctionRestartOnExpiry: false,
+    auctionPaymentMode: 0,
+    auctionPaymentReceiver: ethers.constants.AddressZero,
+    quoteToken: weth.address,
+    previousMinerFee: 8000,
+    teamFee: 400,
+    protocolFee: 100,
+    rigRevealWindow: 0,
+    rigCommitBond: 0,
+    rigPriceCurve: 0,
+    rigPriceHalfLife: 0,
+    rigPriceFloor: 0,
+    rigPriceFloorIsReserve: false,
+    rigAdminDelay: 86400,
+    emissionSchedule: 0,
+    decayPeriod: 0,
+    emissionStepOffsets: [],
+    emissionStepUps: [],
+    maxSupply: 0,
+    salt: ethers.constants.HashZero,
   };
 
   const launchParams = { ...defaultParams, ...params };
@@ -127,6 +152,7 @@ describe("Rigorous Tests", function () {
     // Deploy Multicall
     const multicallArtifact = await ethers.getContractFactory("Multicall");
     multicall = await multicallArtifact.deploy(core.address, weth.address, donut.address);
+    await core.setMulticall(multicall.address);
 
     // Mint tokens to users
     for (const user of [user0, user1, user2, user3, user4]) {
@@ -810,12 +836,14 @@ describe("Rigorous Tests", function () {
     it("Rig ownership can be renounced", async function () {
       const rigContract = await ethers.getContractAt("Rig", testRig);
 
+      await rigContract.connect(user0).scheduleRenounceOwnership();
+      await network.provider.send("evm_increaseTime", [7 * 86400]);
       await rigContract.connect(user0).renounceOwnership();
       expect(await rigContract.owner()).to.equal(AddressZero);
 
       // No one can set treasury anymore
       await expect(
-        rigContract.connect(user0).setTreasury(user1.address)
+        rigContract.connect(user0).queueTreasury(user1.address)
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
 
@@ -831,6 +859,7 @@ describe("Rigorous Tests", function () {
 
     it("Core ownership can be transferred", async function () {
       await core.connect(owner).transferOwnership(user1.address);
+      await core.connect(user1).acceptOwnership();
       expect(await core.owner()).to.equal(user1.address);
 
       // New owner can make changes
@@ -839,6 +868,7 @@ describe("Rigorous Tests", function () {
 
       // Transfer back
       await core.connect(user1).transferOwnership(owner.address);
+      await core.connect(owner).acceptOwnership();
     });
   });
 });
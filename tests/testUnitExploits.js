@@ -81,6 +81,7 @@ describe("Unit Token Exploit Attempts", function () {
 
         const Multicall = await ethers.getContractFactory("Multicall");
         multicall = await Multicall.deploy(core.address, weth.address, donut.address);
+        await core.setMulticall(multicall.address);
 
         // Give users DONUT and WETH
         for (const user of [user0, user1, user2, attacker, malicious]) {
@@ -107,6 +108,31 @@ describe("Unit Token Exploit Attempts", function () {
             auctionEpochPeriod: 86400,
             auctionPriceMultiplier: convert("1.2", 18),
             auctionMinInitPrice: convert("0.001", 18),
+            auctionPriceCurve: 0,
+            auctionPriceHalfLife: 0,
+            auctionPriceFloor: 0,
+            auctionPriceFloorIsReserve: false,
+            auctionReservePrice: 0,
+            auctionRestartOnExpiry: false,
+            auctionPaymentMode: 0,
+            auctionPaymentReceiver: ethers.constants.AddressZero,
+            quoteToken: weth.address,
+            previousMinerFee: 8000,
+            teamFee: 400,
+            protocolFee: 100,
+            rigRevealWindow: 0,
+            rigCommitBond: 0,
+            rigPriceCurve: 0,
+            rigPriceHalfLife: 0,
+            rigPriceFloor: 0,
+            rigPriceFloorIsReserve: false,
+            rigAdminDelay: 86400,
+            emissionSchedule: 0,
+            decayPeriod: 0,
+            emissionStepOffsets: [],
+            emissionStepUps: [],
+            maxSupply: 0,
+            salt: ethers.constants.HashZero,
         });
 
         const receipt = await tx.wait();
@@ -295,8 +321,11 @@ describe("Unit Token Exploit Attempts", function () {
         let freshUnit;
 
         beforeEach(async function () {
-            const UnitContract = await ethers.getContractFactory("Unit");
-            freshUnit = await UnitContract.connect(attacker).deploy("Fresh", "FRSH");
+            const UnitFactory = await ethers.getContractFactory("UnitFactory");
+            const freshFactory = await UnitFactory.deploy();
+            const salt = ethers.constants.HashZero;
+            freshUnit = await ethers.getContractAt("Unit", await freshFactory.predictAddress(attacker.address, salt));
+            await freshFactory.connect(attacker).deploy(salt, "Fresh", "FRSH");
         });
 
         it("Deployer is initial rig", async function () {
@@ -460,6 +489,31 @@ describe("Unit Token Exploit Attempts", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             });
 
             const receipt = await tx.wait();
@@ -508,6 +562,31 @@ describe("Unit Token Exploit Attempts", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             });
 
             const tx2 = await core.connect(user2).launch({
@@ -527,6 +606,31 @@ describe("Unit Token Exploit Attempts", function () {
                 auctionEpochPeriod: 86400,
                 auctionPriceMultiplier: convert("1.1", 18),
                 auctionMinInitPrice: convert("0.001", 18),
+                auctionPriceCurve: 0,
+                auctionPriceHalfLife: 0,
+                auctionPriceFloor: 0,
+                auctionPriceFloorIsReserve: false,
+                auctionReservePrice: 0,
+                auctionRestartOnExpiry: false,
+                auctionPaymentMode: 0,
+                auctionPaymentReceiver: ethers.constants.AddressZero,
+                quoteToken: weth.address,
+                previousMinerFee: 8000,
+                teamFee: 400,
+                protocolFee: 100,
+                rigRevealWindow: 0,
+                rigCommitBond: 0,
+                rigPriceCurve: 0,
+                rigPriceHalfLife: 0,
+                rigPriceFloor: 0,
+                rigPriceFloorIsReserve: false,
+                rigAdminDelay: 86400,
+                emissionSchedule: 0,
+                decayPeriod: 0,
+                emissionStepOffsets: [],
+                emissionStepUps: [],
+                maxSupply: 0,
+                salt: ethers.constants.HashZero,
             });
 
             const receipt1 = await tx1.wait();